@@ -0,0 +1,42 @@
+import { desc, isNull, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import { listings } from '../db/schema.drizzle.js';
+
+// Cities in the summary, busiest first
+const TOP_CITIES = 10;
+
+// Listing counts and price range of live listings by property type and for the busiest cities
+export const getAnalyticsSummary = async () => {
+  // Get statistics grouped by property type
+  const typeStats = await db
+    .select({
+      property_type: listings.propertyType,
+      count: sql`COUNT(*)`,
+      avg_price: sql`AVG(list_price)`,
+      min_price: sql`MIN(list_price)`,
+      max_price: sql`MAX(list_price)`
+    })
+    .from(listings)
+    .where(isNull(listings.removedAt))
+    .groupBy(listings.propertyType);
+  
+  // Get statistics grouped by city
+  const cityStats = await db
+    .select({
+      city: listings.city,
+      count: sql`COUNT(*)`,
+      avg_price: sql`AVG(list_price)`,
+      min_price: sql`MIN(list_price)`,
+      max_price: sql`MAX(list_price)`
+    })
+    .from(listings)
+    .where(isNull(listings.removedAt))
+    .groupBy(listings.city)
+    .orderBy(desc(sql`COUNT(*)`))
+    .limit(TOP_CITIES);
+  
+  return {
+    by_property_type: typeStats,
+    by_city: cityStats
+  };
+};
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { findApiKeyByHash, recordApiKeyUsage } from '../db/index.js';
+
+// Load environment variables
+dotenv.config();
+
+// Scopes in increasing order of access, each one includes the ones before it
+export const SCOPES = ['search', 'full', 'admin'];
+
+// How long looked up keys are cached, revocations take effect after at most this long
+const KEY_CACHE_TTL = parseInt(process.env.API_KEY_CACHE_TTL_MS, 10) || 60000;
+const KEY_CACHE_MAX_SIZE = 10000;
+
+// How often request counts are written to api_key_usage
+const USAGE_FLUSH_INTERVAL = parseInt(process.env.API_USAGE_FLUSH_INTERVAL_MS, 10) || 10000;
+
+// Key configured through ADMIN_API_KEY, for bootstrapping before any keys exist
+const ENV_ADMIN_KEY = {
+  id: null,
+  name: 'ADMIN_API_KEY',
+  scopes: ['admin'],
+  rate_limit_per_minute: null,
+  rate_limit_per_day: null
+};
+
+const keyCache = new Map();
+const rateLimitState = new Map();
+const pendingUsage = new Map();
+
+// Hash an API key the way it is stored in api_keys
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Generate a new API key, the plain key is only ever shown once
+export const generateApiKey = () => {
+  const key = `rdb_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, 12), keyHash: hashApiKey(key) };
+};
+
+// Check whether a key's scopes grant the given scope
+export const hasScope = (apiKey, scope) => {
+  const required = SCOPES.indexOf(scope);
+  return apiKey.scopes.some(granted => SCOPES.indexOf(granted) >= required);
+};
+
+// Read the key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+export const extractApiKey = (req) => {
+  const authorization = req.get('authorization');
+
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('x-api-key') || null;
+};
+
+// Compare keys without leaking their length or content through timing
+const keysMatch = (provided, expected) => {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Resolve a key to its api_keys record, or null when it is unknown or revoked
+const lookupApiKey = async (providedKey) => {
+  if (process.env.ADMIN_API_KEY && keysMatch(providedKey, process.env.ADMIN_API_KEY)) {
+    return ENV_ADMIN_KEY;
+  }
+
+  const keyHash = hashApiKey(providedKey);
+  const cached = keyCache.get(keyHash);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.apiKey;
+  }
+
+  const apiKey = await findApiKeyByHash(keyHash);
+
+  // Unknown keys are cached too so they cannot be used to hammer the database
+  if (keyCache.size >= KEY_CACHE_MAX_SIZE) {
+    keyCache.clear();
+  }
+  keyCache.set(keyHash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL });
+
+  return apiKey;
+};
+
+// Count a request against the key's per-minute and per-day limits.
+// Limits are tracked in memory, the daily count starts from what is already in api_key_usage.
+const consumeRateLimit = (apiKey) => {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  const day = new Date(now).toISOString().slice(0, 10);
+
+  let state = rateLimitState.get(apiKey.id);
+
+  if (!state) {
+    state = { minute, minuteCount: 0, day, dayCount: apiKey.requests_today || 0 };
+    rateLimitState.set(apiKey.id, state);
+  }
+
+  if (state.minute !== minute) {
+    state.minute = minute;
+    state.minuteCount = 0;
+  }
+
+  if (state.day !== day) {
+    state.day = day;
+    state.dayCount = 0;
+  }
+
+  const perMinute = apiKey.rate_limit_per_minute;
+  const perDay = apiKey.rate_limit_per_day;
+  const minuteReset = Math.ceil(((minute + 1) * 60000) / 1000);
+
+  if (perDay !== null && state.dayCount >= perDay) {
+    const nextDay = new Date(`${day}T00:00:00Z`).getTime() + 86400000;
+    return { allowed: false, retryAfter: Math.ceil((nextDay - now) / 1000), limit: perDay, remaining: 0, reset: nextDay / 1000 };
+  }
+
+  if (perMinute !== null && state.minuteCount >= perMinute) {
+    return { allowed: false, retryAfter: minuteReset - Math.floor(now / 1000), limit: perMinute, remaining: 0, reset: minuteReset };
+  }
+
+  state.minuteCount++;
+  state.dayCount++;
+
+  return {
+    allowed: true,
+    limit: perMinute,
+    remaining: perMinute === null ? null : perMinute - state.minuteCount,
+    reset: minuteReset
+  };
+};
+
+// Write buffered request counts to the database
+const flushUsage = async () => {
+  if (pendingUsage.size === 0) return;
+
+  const entries = [...pendingUsage].map(([apiKeyId, requests]) => ({ apiKeyId, requests }));
+  pendingUsage.clear();
+
+  try {
+    await recordApiKeyUsage(entries);
+  } catch (error) {
+    // Keep the counts for the next flush
+    for (const entry of entries) {
+      pendingUsage.set(entry.apiKeyId, (pendingUsage.get(entry.apiKeyId) || 0) + entry.requests);
+    }
+    logger.error(`Failed to flush API usage for ${entries.length} keys: ${error.message}`);
+  }
+};
+
+setInterval(flushUsage, USAGE_FLUSH_INTERVAL).unref();
+
+// Require a valid API key, apply its rate limits and count the request
+export const authenticate = async (req, res, next) => {
+  try {
+    const providedKey = extractApiKey(req);
+
+    if (!providedKey) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    const apiKey = await lookupApiKey(providedKey);
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.apiKey = apiKey;
+
+    // The ADMIN_API_KEY is not rate limited or counted
+    if (apiKey.id === null) {
+      return next();
+    }
+
+    const rateLimit = consumeRateLimit(apiKey);
+
+    if (rateLimit.limit !== null) {
+      res.set('X-RateLimit-Limit', String(rateLimit.limit));
+      res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(rateLimit.reset)));
+    }
+
+    if (!rateLimit.allowed) {
+      res.set('Retry-After', String(rateLimit.retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+
+    pendingUsage.set(apiKey.id, (pendingUsage.get(apiKey.id) || 0) + 1);
+
+    return next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Only allow keys that were granted the given scope
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  if (!hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `This endpoint requires the ${scope} scope` });
+  }
+
+  return next();
+};
+
+// Only allow keys with the admin scope
+export const requireAdmin = requireScope('admin');
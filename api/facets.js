@@ -0,0 +1,109 @@
+import { pool } from '../db/index.js';
+
+// Most values returned per facet
+const FACET_LIMIT = parseInt(process.env.FACET_LIMIT, 10) || 50;
+
+// Buckets in the price histogram
+const PRICE_BUCKETS = parseInt(process.env.FACET_PRICE_BUCKETS, 10) || 10;
+
+// Value facets, counted together in one pass with GROUPING SETS
+const VALUE_FACETS = {
+  property_type: 'property_type',
+  property_sub_type: 'property_sub_type',
+  city: 'city',
+  status: 'standard_status',
+  bedrooms: "CASE WHEN bedrooms_total >= 5 THEN '5+' ELSE bedrooms_total::text END"
+};
+
+export const FACETS = [...Object.keys(VALUE_FACETS), 'price'];
+
+// Parse ?facets=true (all) or ?facets=city,price, returns null when no facets are wanted
+// and { error } for unknown names
+export const parseFacets = (value) => {
+  if (!value || value === 'false') return null;
+  if (value === 'true') return FACETS;
+
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !FACETS.includes(name));
+
+  return unknown.length > 0 ? { error: `Unknown facets: ${unknown.join(', ')}` } : names;
+};
+
+const countValueFacets = async (names, whereClause, params) => {
+  const columns = names.map(name => `${VALUE_FACETS[name]} AS ${name}`).join(', ');
+  const facetCase = names.map(name => `WHEN GROUPING(${name}) = 0 THEN '${name}'`).join(' ');
+
+  const result = await pool.query(`
+    SELECT
+      CASE ${facetCase} END AS facet,
+      COALESCE(${names.map(name => `${name}::text`).join(', ')}) AS value,
+      COUNT(*)::int AS count
+    FROM (SELECT ${columns} FROM listings${whereClause}) matched
+    GROUP BY GROUPING SETS (${names.map(name => `(${name})`).join(', ')})
+  `, params);
+
+  const facets = Object.fromEntries(names.map(name => [name, []]));
+
+  for (const row of result.rows) {
+    // Listings without a value for the field are not a facet value
+    if (row.value !== null) {
+      facets[row.facet].push({ value: row.value, count: row.count });
+    }
+  }
+
+  for (const name of names) {
+    facets[name] = name === 'bedrooms'
+      ? facets[name].sort((a, b) => parseInt(a.value, 10) - parseInt(b.value, 10))
+      : facets[name].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)).slice(0, FACET_LIMIT);
+  }
+
+  return facets;
+};
+
+// Equal width price buckets between the lowest and highest matching price
+const countPriceHistogram = async (whereClause, params) => {
+  const bucketParam = params.length + 1;
+  const result = await pool.query(`
+    WITH matched AS (
+      SELECT list_price FROM listings${whereClause ? `${whereClause} AND` : ' WHERE'} list_price > 0
+    ),
+    bounds AS (
+      SELECT MIN(list_price) AS low, MAX(list_price) AS high FROM matched
+    )
+    SELECT
+      width_bucket(list_price, low, high + 1, $${bucketParam}) AS bucket,
+      low::float8 AS low,
+      (high + 1)::float8 AS high,
+      COUNT(*)::int AS count
+    FROM matched, bounds
+    GROUP BY bucket, low, high
+    ORDER BY bucket
+  `, [...params, PRICE_BUCKETS]);
+
+  if (result.rows.length === 0) {
+    return [];
+  }
+
+  const { low, high } = result.rows[0];
+  const width = (high - low) / PRICE_BUCKETS;
+  const counts = new Map(result.rows.map(row => [row.bucket, row.count]));
+
+  return Array.from({ length: PRICE_BUCKETS }, (_, i) => ({
+    min: Math.floor(low + i * width),
+    max: Math.floor(low + (i + 1) * width),
+    count: counts.get(i + 1) || 0
+  }));
+};
+
+// Count the requested facets for listings matching the search conditions
+export const computeFacets = async (names, conditions, params) => {
+  const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const valueNames = names.filter(name => name in VALUE_FACETS);
+
+  const [valueFacets, price] = await Promise.all([
+    valueNames.length > 0 ? countValueFacets(valueNames, whereClause, params) : {},
+    names.includes('price') ? countPriceHistogram(whereClause, params) : null
+  ]);
+
+  return price === null ? valueFacets : { ...valueFacets, price };
+};
@@ -0,0 +1,28 @@
+// Alternative response formats for listing endpoints
+
+export const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+// GeoJSON is requested with ?format=geojson or an Accept header preferring application/geo+json
+export const wantsGeoJson = (req) => (
+  req.query.format === 'geojson' || req.accepts(['application/json', GEOJSON_CONTENT_TYPE]) === GEOJSON_CONTENT_TYPE
+);
+
+// Listing row to a GeoJSON Feature, listings without coordinates get a null geometry
+export const toFeature = (row) => {
+  const { latitude, longitude, ...properties } = row;
+  const hasPoint = latitude !== null && latitude !== undefined && longitude !== null && longitude !== undefined;
+
+  return {
+    type: 'Feature',
+    id: row.id,
+    geometry: hasPoint ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+    properties
+  };
+};
+
+// Listing rows to a FeatureCollection, `members` (pagination and counts) are added as foreign members
+export const toFeatureCollection = (rows, members = {}) => ({
+  type: 'FeatureCollection',
+  ...members,
+  features: rows.map(toFeature)
+});
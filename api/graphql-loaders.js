@@ -0,0 +1,82 @@
+import DataLoader from 'dataloader';
+import { pool, getMediaForListings, getHistoryForListings } from '../db/index.js';
+import { listingSelectSql, stripInternalColumns } from './projections.js';
+
+// Geography of a listing under a table alias, same expression as the GIST index
+const geographySql = (alias) => `(ST_SetSRID(ST_MakePoint(${alias}.longitude, ${alias}.latitude), 4326)::geography)`;
+
+// Put rows carrying a listing id back in the order of the requested keys
+const groupByListing = (listingIds, rows, key = 'listing_id') => {
+  const groups = new Map(listingIds.map(id => [id, []]));
+
+  for (const row of rows) {
+    groups.get(row[key])?.push(row);
+  }
+
+  return listingIds.map(id => groups.get(id));
+};
+
+// One loader per argument combination, e.g. history(limit: 5) and history(limit: 20)
+const keyedLoaders = (createLoader) => {
+  const loaders = new Map();
+
+  return (...args) => {
+    const key = args.join(':');
+
+    if (!loaders.has(key)) {
+      loaders.set(key, createLoader(...args));
+    }
+
+    return loaders.get(key);
+  };
+};
+
+// Listings by id in the caller's projection
+const loadListings = async (ids, projection) => {
+  const result = await pool.query(`
+    SELECT ${listingSelectSql(projection)}
+    FROM listings
+    WHERE id = ANY($1)
+  `, [ids]);
+
+  const byId = new Map(result.rows.map(row => [row.id, stripInternalColumns(row)]));
+
+  return ids.map(id => byId.get(id) || null);
+};
+
+// Live listings within radiusKm of each listing, closest first, with distance_km
+const loadNearby = async (ids, projection, radiusKm, limit) => {
+  const result = await pool.query(`
+    SELECT origin.id AS _origin_id, nearby.*
+    FROM listings origin
+    CROSS JOIN LATERAL (
+      SELECT ${listingSelectSql(projection, 'n')},
+             ST_Distance(${geographySql('n')}, ${geographySql('origin')}) / 1000 AS distance_km
+      FROM listings n
+      WHERE n.id <> origin.id
+        AND n.removed_at IS NULL
+        AND n.latitude IS NOT NULL AND n.longitude IS NOT NULL
+        AND ST_DWithin(${geographySql('n')}, ${geographySql('origin')}, $2)
+      ORDER BY distance_km, n.id
+      LIMIT $3
+    ) nearby
+    WHERE origin.id = ANY($1)
+      AND origin.latitude IS NOT NULL AND origin.longitude IS NOT NULL
+  `, [ids, radiusKm * 1000, limit]);
+
+  return groupByListing(ids, result.rows, '_origin_id').map(rows => rows.map(({ _origin_id, ...row }) => stripInternalColumns(row)));
+};
+
+// Loaders for one GraphQL request, so every listing in a response costs one query per
+// nested field instead of one per listing. Loaders cache for the request only.
+export const createLoaders = (projection) => ({
+  listing: new DataLoader(ids => loadListings(ids, projection)),
+
+  media: new DataLoader(async (ids) => groupByListing(ids, await getMediaForListings(ids))),
+
+  history: keyedLoaders((field, limit) => new DataLoader(async (ids) => (
+    groupByListing(ids, await getHistoryForListings(ids, { field: field || null, limit }))
+  ))),
+
+  nearby: keyedLoaders((radiusKm, limit) => new DataLoader(ids => loadNearby(ids, projection, radiusKm, limit)))
+});
@@ -0,0 +1,456 @@
+import { buildSchema, GraphQLError, valueFromASTUntyped, getNamedType, Kind } from 'graphql';
+import { createHandler } from 'graphql-http/lib/use/express';
+import { pool } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { hasScope } from './auth.js';
+import { getProjection, listingSelectFields, listingSelectSql, stripInternalColumns } from './projections.js';
+import { SEARCH_FILTER_PARAMS, resolveSearchFilters, buildSearchConditions } from './search-filters.js';
+import {
+  COUNT_MODES,
+  MAX_PAGE_SIZE,
+  LISTING_SORTS,
+  parsePageSize,
+  decodeCursor,
+  resolveSearchSort,
+  paginateSearch
+} from './pagination.js';
+import { getAnalyticsSummary } from './analytics.js';
+import { createLoaders } from './graphql-loaders.js';
+
+// Deepest selection a query may nest, listing { nearby { media { variants { path } } } } is 4
+const MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 8;
+
+// Most objects a query may ask for, estimated from list limits before it runs, see queryCostRule
+const MAX_COST = parseInt(process.env.GRAPHQL_MAX_COST, 10) || 25000;
+
+// Bounds for Listing.nearby and Listing.history
+const MAX_NEARBY_RADIUS_KM = 50;
+const MAX_NEARBY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+// Photos per listing assumed when estimating the cost of Listing.media
+const MEDIA_COST_ESTIMATE = 50;
+
+// Clamp a list limit argument the way the resolvers do
+const clampLimit = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// GraphQL type of each drizzle column type on listings
+const COLUMN_TYPES = {
+  PgText: 'String',
+  PgInteger: 'Int',
+  PgDoublePrecision: 'Float',
+  PgNumeric: 'Float',
+  PgBoolean: 'Boolean',
+  PgTimestamp: 'String',
+  PgJsonb: 'JSON',
+  PgArray: '[String!]'
+};
+
+// Listing fields follow the drizzle schema, camelCase like listingSelectFields. Agent-only
+// fields are null for keys without the full scope.
+const listingFieldsSdl = Object.entries(listingSelectFields('privileged'))
+  .map(([name, column]) => `${name}: ${column.name === 'id' ? 'ID!' : COLUMN_TYPES[column.columnType] || 'String'}`)
+  .join('\n    ');
+
+const typeDefs = `
+  scalar JSON
+
+  type Query {
+    listing(id: ID!): Listing
+    listingByMls(mlsNumber: String!): Listing
+    listings(ids: [ID!]!): [Listing]!
+    search(filters: SearchFilters, sort: SearchSort, cursor: String, limit: Int, offset: Int, count: CountMode): SearchPage!
+    analytics: AnalyticsSummary!
+  }
+
+  type Listing {
+    ${listingFieldsSdl}
+    relevance: Float
+    distanceKm: Float
+    media: [Media!]!
+    history(field: String, limit: Int = 50): [HistoryEntry!]!
+    nearby(radiusKm: Float = 1, limit: Int = 10): [Listing!]!
+  }
+
+  type Media {
+    mediaKey: ID!
+    mediaType: String
+    mediaCategory: String
+    mediaUrl: String
+    mediaStatus: String
+    imageHeight: Int
+    imageWidth: Int
+    isPreferred: Boolean
+    displayOrder: Int
+    shortDescription: String
+    localPath: String
+    variants: [MediaVariant!]!
+    modificationTimestamp: String
+  }
+
+  type MediaVariant {
+    name: String!
+    path: String!
+    width: Int
+    height: Int
+  }
+
+  type HistoryEntry {
+    id: ID!
+    changeType: String!
+    changedFields: [String!]!
+    oldValues: JSON
+    newValues: JSON
+    modificationTimestamp: String
+    recordedAt: String
+  }
+
+  input SearchFilters {
+    query: String
+    location: String
+    radius: Float
+    bbox: String
+    polygon: String
+    minPrice: Float
+    maxPrice: Float
+    bedrooms: Int
+    bathrooms: Int
+    propertyType: String
+    city: String
+    province: String
+    includeRemoved: Boolean
+  }
+
+  enum SearchSort {
+    ${['relevance', ...Object.keys(LISTING_SORTS), 'distance'].join('\n    ')}
+  }
+
+  enum CountMode {
+    ${COUNT_MODES.join('\n    ')}
+  }
+
+  type SearchPage {
+    total: Int
+    totalEstimated: Boolean!
+    limit: Int!
+    offset: Int
+    nextCursor: String
+    listings: [Listing!]!
+  }
+
+  type AnalyticsSummary {
+    byPropertyType: [AnalyticsGroup!]!
+    byCity: [AnalyticsGroup!]!
+  }
+
+  type AnalyticsGroup {
+    propertyType: String
+    city: String
+    count: Int!
+    avgPrice: Float
+    minPrice: Float
+    maxPrice: Float
+  }
+`;
+
+const badInput = (message) => new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+
+// Timestamps from pg are Dates, GraphQL returns them as ISO strings
+const toGraphQLValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Query resolvers, `listings` rows are snake_case like the REST responses
+const queryResolvers = {
+  listing: (_, { id }, { loaders }) => loaders.listing.load(id),
+
+  // Relisted properties can share a number, live listings come first like /listings/by-mls
+  listingByMls: async (_, { mlsNumber }, { projection, loaders }) => {
+    const result = await pool.query(`
+      SELECT ${listingSelectSql(projection)}
+      FROM listings
+      WHERE mls_number = $1
+      ORDER BY removed_at IS NOT NULL, modification_timestamp DESC NULLS LAST
+      LIMIT 1
+    `, [mlsNumber.trim().toUpperCase()]);
+
+    const listing = result.rows[0] ? stripInternalColumns(result.rows[0]) : null;
+
+    if (listing) {
+      loaders.listing.prime(listing.id, listing);
+    }
+
+    return listing;
+  },
+
+  listings: (_, { ids }, { loaders }) => {
+    if (ids.length > MAX_PAGE_SIZE) {
+      throw badInput(`At most ${MAX_PAGE_SIZE} ids per request`);
+    }
+
+    return loaders.listing.loadMany(ids);
+  },
+
+  // Same filters, sorts and cursors as /api/search, always on the raw SQL path
+  search: async (_, { filters, sort, cursor, limit, offset, count = 'estimate' }, { projection, loaders }) => {
+    const filterParams = Object.fromEntries(
+      SEARCH_FILTER_PARAMS
+        .filter(param => filters?.[param] !== undefined && filters[param] !== null)
+        .map(param => [param, String(filters[param])])
+    );
+
+    const { filters: searchFilters, error } = await resolveSearchFilters(filterParams);
+
+    if (error) {
+      throw badInput(error);
+    }
+
+    const rawSearch = buildSearchConditions(searchFilters);
+    const sortName = sort || (searchFilters.text ? 'relevance' : 'modified');
+    const { sortKeys, error: sortError } = resolveSearchSort(sortName, searchFilters, rawSearch);
+
+    if (sortError) {
+      throw badInput(sortError);
+    }
+
+    const cursorValues = cursor ? decodeCursor(cursor, sortName, sortKeys) : null;
+
+    if (cursor && !cursorValues) {
+      throw badInput('Invalid cursor');
+    }
+
+    const pageSize = parsePageSize(limit);
+    const pageOffset = cursorValues ? null : Math.max(offset || 0, 0);
+
+    const { total, estimated, rows, nextCursor } = await paginateSearch({
+      filters: searchFilters,
+      rawSearch,
+      projection,
+      sortName,
+      sortKeys,
+      cursorValues,
+      pageSize,
+      offset: pageOffset || 0,
+      count
+    });
+
+    // Later Listing lookups in the same request reuse the rows
+    for (const row of rows) {
+      loaders.listing.prime(row.id, row);
+    }
+
+    return {
+      total,
+      totalEstimated: estimated,
+      limit: pageSize,
+      offset: pageOffset,
+      nextCursor,
+      listings: rows
+    };
+  },
+
+  analytics: async () => {
+    const { by_property_type: byPropertyType, by_city: byCity } = await getAnalyticsSummary();
+    return { byPropertyType, byCity };
+  }
+};
+
+// Nested Listing fields, batched per request through the loaders
+const listingResolvers = {
+  media: (listing, _, { loaders }) => loaders.media.load(listing.id),
+
+  // History is agent-only, like /api/listings/:id/history
+  history: (listing, { field, limit }, { apiKey, loaders }) => {
+    if (!hasScope(apiKey, 'full')) {
+      throw new GraphQLError('history requires an API key with the full scope', { extensions: { code: 'FORBIDDEN' } });
+    }
+
+    return loaders.history(field, clampLimit(limit, 50, MAX_HISTORY_LIMIT)).load(listing.id);
+  },
+
+  // Live listings around this one, closest first with distanceKm. Listings without coordinates have none.
+  nearby: (listing, { radiusKm, limit }, { loaders }) => {
+    if (!(radiusKm > 0 && radiusKm <= MAX_NEARBY_RADIUS_KM)) {
+      throw badInput(`radiusKm must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM}`);
+    }
+
+    return loaders.nearby(radiusKm, clampLimit(limit, 10, MAX_NEARBY_LIMIT)).load(listing.id);
+  }
+};
+
+const schema = buildSchema(typeDefs);
+
+// Free-form JSON for the AMPRE payload and history values
+Object.assign(schema.getType('JSON'), {
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+// Attach resolvers to `type`, fields without one read the snake_case column of the row
+const attachResolvers = (typeName, resolvers = {}) => {
+  for (const [name, field] of Object.entries(schema.getType(typeName).getFields())) {
+    const column = toSnakeCase(name);
+    field.resolve = resolvers[name] || (row => toGraphQLValue(row[column]));
+  }
+};
+
+attachResolvers('Query', queryResolvers);
+attachResolvers('Listing', listingResolvers);
+attachResolvers('Media', {
+  // Mirrored variants are stored as { name: { path, width, height } }
+  variants: media => Object.entries(media.variants || {}).map(([name, variant]) => ({ name, ...variant }))
+});
+attachResolvers('MediaVariant');
+attachResolvers('HistoryEntry');
+attachResolvers('AnalyticsGroup');
+
+// SearchPage and AnalyticsSummary are built by the resolvers with camelCase keys
+for (const typeName of ['SearchPage', 'AnalyticsSummary']) {
+  for (const field of Object.values(schema.getType(typeName).getFields())) {
+    field.resolve = source => source[field.name];
+  }
+}
+
+// Reject queries nesting deeper than GRAPHQL_MAX_DEPTH
+const depthLimitRule = (context) => {
+  const selectionDepth = (selectionSet, visitedFragments) => {
+    if (!selectionSet) {
+      return 0;
+    }
+
+    return Math.max(0, ...selectionSet.selections.map(selection => {
+      if (selection.kind === Kind.FIELD) {
+        return selection.selectionSet ? 1 + selectionDepth(selection.selectionSet, visitedFragments) : 0;
+      }
+
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = context.getFragment(selection.name.value);
+
+        // Fragment cycles are reported by the standard rules
+        if (!fragment || visitedFragments.has(fragment.name.value)) {
+          return 0;
+        }
+
+        return selectionDepth(fragment.selectionSet, new Set([...visitedFragments, fragment.name.value]));
+      }
+
+      return selectionDepth(selection.selectionSet, visitedFragments);
+    }));
+  };
+
+  return {
+    OperationDefinition(node) {
+      if (selectionDepth(node.selectionSet, new Set()) > MAX_DEPTH) {
+        context.reportError(new GraphQLError(`Query is nested deeper than ${MAX_DEPTH} levels`, { nodes: [node] }));
+      }
+    }
+  };
+};
+
+// Objects a field returns per parent object, for the list fields whose size a query controls
+const FIELD_SIZES = {
+  'Query.listings': (args) => (Array.isArray(args.ids) ? args.ids.length : MAX_PAGE_SIZE),
+  // The page size is counted on search itself, SearchPage.listings then counts as 1
+  'Query.search': (args) => parsePageSize(args.limit),
+  'Listing.media': () => MEDIA_COST_ESTIMATE,
+  'Listing.history': (args) => clampLimit(args.limit, 50, MAX_HISTORY_LIMIT),
+  'Listing.nearby': (args) => clampLimit(args.limit, 10, MAX_NEARBY_LIMIT)
+};
+
+// Reject queries that would build more than GRAPHQL_MAX_COST objects. Each field with a selection
+// counts once per object it can return, multiplied by the sizes of the lists above it, so nested
+// nearby lists and aliased copies of a field add up instead of slipping under the depth limit.
+const queryCostRule = (variableValues) => (context) => {
+  const schema = context.getSchema();
+
+  const selectionCost = (selectionSet, parentType, multiplier, variables, visitedFragments) => (
+    selectionSet.selections.reduce((total, selection) => {
+      if (selection.kind === Kind.FIELD) {
+        const field = parentType.getFields?.()[selection.name.value];
+
+        // Scalars are free, unknown fields are reported by the standard rules
+        if (!field || !selection.selectionSet) {
+          return total;
+        }
+
+        const args = Object.fromEntries(
+          selection.arguments.map(arg => [arg.name.value, valueFromASTUntyped(arg.value, variables)])
+        );
+        const size = FIELD_SIZES[`${parentType.name}.${field.name}`]?.(args) ?? 1;
+        const count = multiplier * size;
+
+        return total + count + selectionCost(selection.selectionSet, getNamedType(field.type), count, variables, visitedFragments);
+      }
+
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = context.getFragment(selection.name.value);
+
+        if (!fragment || visitedFragments.has(fragment.name.value)) {
+          return total;
+        }
+
+        const type = schema.getType(fragment.typeCondition.name.value) || parentType;
+        return total + selectionCost(fragment.selectionSet, type, multiplier, variables, new Set([...visitedFragments, fragment.name.value]));
+      }
+
+      const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) || parentType : parentType;
+      return total + selectionCost(selection.selectionSet, type, multiplier, variables, visitedFragments);
+    }, 0)
+  );
+
+  return {
+    OperationDefinition(node) {
+      const rootType = schema.getRootType(node.operation);
+
+      if (!rootType) {
+        return;
+      }
+
+      // Variables the request leaves out take their default from the operation
+      const variables = {
+        ...Object.fromEntries(
+          (node.variableDefinitions || [])
+            .filter(definition => definition.defaultValue)
+            .map(definition => [definition.variable.name.value, valueFromASTUntyped(definition.defaultValue)])
+        ),
+        ...variableValues
+      };
+
+      const cost = selectionCost(node.selectionSet, rootType, 1, variables, new Set());
+
+      if (cost > MAX_COST) {
+        context.reportError(new GraphQLError(
+          `Query could return about ${cost} objects, more than the limit of ${MAX_COST}. Lower the list limits or split the query.`,
+          { nodes: [node] }
+        ));
+      }
+    }
+  };
+};
+
+// Resolver failures that are not GraphQL errors are logged and reported without their details
+const formatError = (error) => {
+  if (!error.originalError || error.originalError instanceof GraphQLError) {
+    return error;
+  }
+
+  logger.error(`GraphQL error at ${error.path?.join('.')}:`, error.originalError);
+  return new GraphQLError('Internal server error', { nodes: error.nodes, path: error.path });
+};
+
+// GraphQL over HTTP handler, mounted behind authenticate. Loaders are created per request.
+export const graphqlHandler = createHandler({
+  schema,
+  validationRules: (req, args, specifiedRules) => [...specifiedRules, depthLimitRule, queryCostRule(args.variableValues || {})],
+  formatError,
+  context: (req) => {
+    const projection = getProjection(req.raw);
+
+    return {
+      projection,
+      apiKey: req.raw.apiKey,
+      loaders: createLoaders(projection)
+    };
+  }
+});
@@ -2,7 +2,9 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.js';
-import searchRoutes from './search-routes.js';
+import apiRoutes from './routes.js';
+import odataRoutes from './odata-routes.js';
+import { createMediaStorage } from '../services/media-storage.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,11 +14,22 @@ const app = express();
 const PORT = process.env.API_PORT || 9696;
 
 // Middleware
-app.use(cors());
+// Browser access is limited to CORS_ORIGINS (comma separated) when it is set
+app.use(cors(process.env.CORS_ORIGINS
+  ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) }
+  : undefined));
 app.use(express.json());
 
 // Routes
-app.use('/api', searchRoutes);
+app.use('/api', apiRoutes);
+
+// RESO Web API (OData) view of the replica for tools that speak it
+app.use('/odata', odataRoutes);
+
+// Serve mirrored media when it is stored on the local filesystem
+if ((process.env.MEDIA_STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/media', express.static(createMediaStorage().rootDir, { maxAge: '7d' }));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
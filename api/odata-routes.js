@@ -0,0 +1,131 @@
+import express from 'express';
+import { pool } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { authenticate, requireScope } from './auth.js';
+import { getProjection } from './projections.js';
+import { countRows } from './pagination.js';
+import { ODATA_MAX_TOP, parseODataQuery, propertyByKeySql, buildMetadata } from './odata.js';
+
+const router = express.Router();
+
+// System query options we translate, anything else starting with $ is rejected
+const SUPPORTED_OPTIONS = ['$filter', '$select', '$orderby', '$top', '$skip', '$count'];
+
+// Errors use the OData JSON error format so OData clients can report them
+const sendError = (res, status, message) => res.status(status).json({
+  error: { code: String(status), message }
+});
+
+router.use(authenticate, requireScope('search'));
+
+// Every response declares the OData version it speaks
+router.use((req, res, next) => {
+  res.set('OData-Version', '4.0');
+  next();
+});
+
+const serviceRoot = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+/**
+ * Service document listing the entity sets
+ */
+router.get('/', (req, res) => {
+  res.json({
+    '@odata.context': `${serviceRoot(req)}/$metadata`,
+    value: [{ name: 'Property', kind: 'EntitySet', url: 'Property' }]
+  });
+});
+
+/**
+ * CSDL metadata, agent-only fields are only described to keys with the full scope
+ */
+router.get('/\\$metadata', (req, res) => {
+  res.type('application/xml').send(buildMetadata(getProjection(req)));
+});
+
+/**
+ * Query listings with $filter, $select, $orderby, $top, $skip and $count
+ */
+router.get('/Property', async (req, res) => {
+  try {
+    const unsupported = Object.keys(req.query).filter(option => option.startsWith('$') && !SUPPORTED_OPTIONS.includes(option));
+
+    if (unsupported.length > 0) {
+      return sendError(res, 400, `Unsupported query options: ${unsupported.join(', ')}`);
+    }
+
+    // Repeated options arrive as arrays, OData allows each one once
+    if (SUPPORTED_OPTIONS.some(option => req.query[option] !== undefined && typeof req.query[option] !== 'string')) {
+      return sendError(res, 400, 'Query options may only be given once');
+    }
+
+    const { query, error } = parseODataQuery(req.query, getProjection(req));
+
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    const pageSize = Math.min(query.top ?? ODATA_MAX_TOP, ODATA_MAX_TOP);
+    const { params } = query;
+
+    const result = await pool.query(`
+      SELECT ${query.selectSql}
+      FROM listings
+      WHERE ${query.whereSql}
+      ORDER BY ${query.orderBySql}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pageSize + 1, query.skip]);
+
+    const body = { '@odata.context': `${serviceRoot(req)}/$metadata#Property` };
+
+    if (query.count) {
+      const { total } = await countRows('exact', `SELECT 1 FROM listings WHERE ${query.whereSql}`, params);
+      body['@odata.count'] = total;
+    }
+
+    body.value = result.rows.slice(0, pageSize);
+
+    // Server-driven paging when $top is missing or larger than one page
+    if (result.rows.length > pageSize && (query.top === null || query.top > pageSize)) {
+      const nextParams = new URLSearchParams(
+        Object.entries(req.query).filter(([option]) => SUPPORTED_OPTIONS.includes(option))
+      );
+      nextParams.set('$skip', String(query.skip + pageSize));
+
+      if (query.top !== null) {
+        nextParams.set('$top', String(query.top - pageSize));
+      }
+
+      body['@odata.nextLink'] = `${serviceRoot(req)}/Property?${nextParams.toString()}`;
+    }
+
+    return res.json(body);
+  } catch (error) {
+    logger.error('Error running OData query:', error);
+    return sendError(res, 500, 'Internal server error');
+  }
+});
+
+/**
+ * Single listing by ListingKey, e.g. /odata/Property('X12345678')
+ */
+router.get(/^\/Property\('((?:[^']|'')+)'\)$/, async (req, res) => {
+  try {
+    const listingKey = req.params[0].replace(/''/g, "'");
+    const result = await pool.query(propertyByKeySql(getProjection(req)), [listingKey]);
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Property not found');
+    }
+
+    return res.json({
+      '@odata.context': `${serviceRoot(req)}/$metadata#Property/$entity`,
+      ...result.rows[0]
+    });
+  } catch (error) {
+    logger.error(`Error getting OData property ${req.params[0]}:`, error);
+    return sendError(res, 500, 'Internal server error');
+  }
+});
+
+export default router;
@@ -0,0 +1,529 @@
+import { PRIVATE_LISTING_COLUMNS } from './projections.js';
+
+// Most records returned per page, clients page with $skip or @odata.nextLink beyond it
+export const ODATA_MAX_TOP = parseInt(process.env.ODATA_MAX_TOP, 10) || parseInt(process.env.API_MAX_PAGE_SIZE, 10) || 500;
+
+// Bounds on $filter so a single request can't build an unreasonably large query
+const MAX_FILTER_LENGTH = parseInt(process.env.ODATA_MAX_FILTER_LENGTH, 10) || 4000;
+const MAX_FILTER_DEPTH = 32;
+const MAX_IN_VALUES = 200;
+
+// RESO field name -> listings column, as mapped by mapProperty during replication.
+// Timestamps without a time zone hold UTC.
+const PROPERTY_FIELDS = {
+  ListingKey: { column: 'id', type: 'text' },
+  ListingId: { column: 'mls_number', type: 'text' },
+  UnparsedAddress: { column: 'unparsed_address', type: 'text' },
+  StreetNumber: { column: 'street_number', type: 'text' },
+  StreetName: { column: 'street_name', type: 'text' },
+  StreetSuffix: { column: 'street_suffix', type: 'text' },
+  UnitNumber: { column: 'unit_number', type: 'text' },
+  City: { column: 'city', type: 'text' },
+  StateOrProvince: { column: 'province', type: 'text' },
+  PostalCode: { column: 'postal_code', type: 'text' },
+  Country: { column: 'country', type: 'text' },
+  CountyOrParish: { column: 'county_or_parish', type: 'text' },
+  CityRegion: { column: 'neighbourhood', type: 'text' },
+  Latitude: { column: 'latitude', type: 'double' },
+  Longitude: { column: 'longitude', type: 'double' },
+  PropertyType: { column: 'property_type', type: 'text' },
+  PropertySubType: { column: 'property_sub_type', type: 'text' },
+  TransactionType: { column: 'transaction_type', type: 'text' },
+  ContractStatus: { column: 'contract_status', type: 'text' },
+  BuildingName: { column: 'building_name', type: 'text' },
+  YearBuilt: { column: 'year_built', type: 'integer' },
+  LotSizeArea: { column: 'lot_size_area', type: 'double' },
+  LotSizeUnits: { column: 'lot_size_units', type: 'text' },
+  BuildingAreaTotal: { column: 'living_area', type: 'double' },
+  AboveGradeFinishedArea: { column: 'above_grade_finished_area', type: 'double' },
+  BelowGradeFinishedArea: { column: 'below_grade_finished_area', type: 'double' },
+  LotWidth: { column: 'lot_width', type: 'double' },
+  LotDepth: { column: 'lot_depth', type: 'double' },
+  FrontageLength: { column: 'lot_frontage', type: 'text' },
+  BedroomsTotal: { column: 'bedrooms_total', type: 'integer' },
+  BedroomsAboveGrade: { column: 'bedrooms_above_grade', type: 'integer' },
+  BedroomsBelowGrade: { column: 'bedrooms_below_grade', type: 'integer' },
+  BathroomsTotalInteger: { column: 'bathrooms_total', type: 'integer' },
+  KitchensTotal: { column: 'kitchens_total', type: 'integer' },
+  RoomsTotal: { column: 'rooms_total', type: 'integer' },
+  InteriorFeatures: { column: 'interior_features', type: 'collection' },
+  ExteriorFeatures: { column: 'exterior_features', type: 'collection' },
+  ParkingFeatures: { column: 'parking_features', type: 'collection' },
+  WaterfrontFeatures: { column: 'water_features', type: 'collection' },
+  Zoning: { column: 'zoning', type: 'text' },
+  BusinessType: { column: 'business_type', type: 'collection' },
+  ListPrice: { column: 'list_price', type: 'decimal' },
+  OriginalListPrice: { column: 'original_list_price', type: 'decimal' },
+  ClosePrice: { column: 'close_price', type: 'decimal' },
+  AssociationFee: { column: 'association_fee', type: 'decimal' },
+  TaxAnnualAmount: { column: 'tax_annual_amount', type: 'decimal' },
+  TaxYear: { column: 'tax_year', type: 'integer' },
+  MediaChangeTimestamp: { column: 'media_change_timestamp', type: 'timestamptz' },
+  PublicRemarks: { column: 'public_remarks', type: 'text' },
+  PrivateRemarks: { column: 'private_remarks', type: 'text' },
+  TaxLegalDescription: { column: 'tax_legal_description', type: 'text' },
+  Directions: { column: 'directions', type: 'text' },
+  ListingContractDate: { column: 'list_date', type: 'date' },
+  ExpirationDate: { column: 'expiration_date', type: 'date' },
+  CloseDate: { column: 'close_date', type: 'date' },
+  StandardStatus: { column: 'standard_status', type: 'text' },
+  ModificationTimestamp: { column: 'modification_timestamp', type: 'timestamp' },
+  OriginatingSystemID: { column: 'originating_system_id', type: 'text' },
+  OriginatingSystemName: { column: 'originating_system_name', type: 'text' }
+};
+
+// EDM type and SQL cast for each column type
+const FIELD_TYPES = {
+  text: { edm: 'Edm.String', cast: 'text', literals: ['string'] },
+  integer: { edm: 'Edm.Int32', cast: 'integer', literals: ['number'] },
+  double: { edm: 'Edm.Double', cast: 'double precision', literals: ['number'] },
+  decimal: { edm: 'Edm.Decimal', cast: 'numeric', literals: ['number'] },
+  date: { edm: 'Edm.Date', cast: 'date', literals: ['date'] },
+  timestamp: { edm: 'Edm.DateTimeOffset', cast: 'timestamp', literals: ['date', 'datetime'] },
+  timestamptz: { edm: 'Edm.DateTimeOffset', cast: 'timestamptz', literals: ['date', 'datetime'] },
+  collection: { edm: 'Collection(Edm.String)', cast: 'text[]', literals: [] }
+};
+
+const ISO_TIMESTAMP_FORMAT = `'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'`;
+
+// Mapped fields a projection may use, agent-only columns need the full scope
+const fieldsFor = (projection) => Object.fromEntries(
+  Object.entries(PROPERTY_FIELDS)
+    .filter(([, field]) => projection === 'privileged' || !PRIVATE_LISTING_COLUMNS.has(field.column))
+);
+
+// Unmapped RESO fields are read from the raw AMPRE payload, which holds agent-only data
+const RAW_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+class ODataQueryError extends Error {}
+
+// Resolve a field name to { name, column?, type } or fail.
+// Raw fields have type 'raw' and are only available to privileged callers.
+const resolveField = (name, fields, projection) => {
+  if (fields[name]) {
+    return { name, ...fields[name] };
+  }
+
+  if (projection === 'privileged' && RAW_FIELD_PATTERN.test(name)) {
+    return { name, type: 'raw' };
+  }
+
+  throw new ODataQueryError(`Unknown field: ${name}`);
+};
+
+// Select expression returning the field as its JSON value
+const selectSql = (field) => {
+  switch (field.type) {
+    case 'raw': return `raw -> '${field.name}'`;
+    case 'decimal': return `${field.column}::double precision`;
+    case 'date': return `to_char(${field.column}, 'YYYY-MM-DD')`;
+    case 'timestamp': return `to_char(${field.column}, ${ISO_TIMESTAMP_FORMAT})`;
+    case 'timestamptz': return `to_char(${field.column} AT TIME ZONE 'UTC', ${ISO_TIMESTAMP_FORMAT})`;
+    default: return field.column;
+  }
+};
+
+// Expression used to compare and sort by the field
+const valueSql = (field) => (field.type === 'raw' ? `(raw -> '${field.name}')` : field.column);
+
+// $filter tokens: punctuation, quoted strings, date/time literals, numbers and identifiers
+const TOKEN_PATTERNS = [
+  ['punct', /^[(),]/],
+  ['string', /^'((?:[^']|'')*)'/],
+  ['datetime', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})/],
+  ['date', /^\d{4}-\d{2}-\d{2}(?![\dT])/],
+  ['number', /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/],
+  ['identifier', /^[A-Za-z_][A-Za-z0-9_]*/]
+];
+
+// Range of the integer columns
+const MIN_INTEGER = -2147483648;
+const MAX_INTEGER = 2147483647;
+
+// Whether the YYYY-MM-DD prefix of a date or datetime literal is a real calendar date, e.g. not 2024-02-30
+const isCalendarDate = (value) => {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+
+  return year >= 1 && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text.trim();
+
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS
+      .map(([type, pattern]) => [type, pattern.exec(rest)])
+      .find(([, result]) => result);
+
+    if (!match) {
+      throw new ODataQueryError(`Invalid $filter near: ${rest.slice(0, 20)}`);
+    }
+
+    const [type, result] = match;
+    tokens.push(type === 'string'
+      ? { type, value: result[1].replace(/''/g, "'") }
+      : { type, value: result[0] });
+
+    rest = rest.slice(result[0].length).trimStart();
+  }
+
+  return tokens;
+};
+
+const COMPARISON_OPERATORS = { eq: '=', ne: '<>', gt: '>', ge: '>=', lt: '<', le: '<=' };
+
+// Escape LIKE wildcards so string functions match literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const STRING_FUNCTIONS = {
+  contains: value => `%${escapeLike(value)}%`,
+  startswith: value => `${escapeLike(value)}%`,
+  endswith: value => `%${escapeLike(value)}`
+};
+
+// Recursive descent parser for the supported $filter subset:
+//   Field eq|ne|gt|ge|lt|le literal, Field in (literal, ...),
+//   contains|startswith|endswith(Field, 'text'), and, or, not, parentheses.
+// Literals are bound as parameters appended to `params`.
+const parseFilter = (text, fields, projection, params) => {
+  const tokens = tokenize(text);
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isKeyword = (token, word) => token?.type === 'identifier' && token.value === word;
+
+  const expect = (value) => {
+    const token = next();
+    if (token?.value !== value) {
+      throw new ODataQueryError(`Expected "${value}" in $filter`);
+    }
+  };
+
+  const parseLiteral = () => {
+    const token = next();
+
+    if (!token) {
+      throw new ODataQueryError('Unexpected end of $filter');
+    }
+
+    switch (token.type) {
+      case 'string': return { kind: 'string', value: token.value };
+      case 'number':
+        if (!Number.isFinite(Number(token.value))) {
+          throw new ODataQueryError(`Number out of range in $filter: ${token.value}`);
+        }
+        return { kind: 'number', value: Number(token.value) };
+      case 'date':
+      case 'datetime':
+        if (!isCalendarDate(token.value) || (token.type === 'datetime' && Number.isNaN(Date.parse(token.value)))) {
+          throw new ODataQueryError(`Invalid ${token.type} in $filter: ${token.value}`);
+        }
+        return { kind: token.type, value: token.value };
+      case 'identifier':
+        if (token.value === 'null') return { kind: 'null', value: null };
+        if (token.value === 'true' || token.value === 'false') return { kind: 'boolean', value: token.value === 'true' };
+        break;
+      default:
+        break;
+    }
+
+    throw new ODataQueryError(`Expected a literal in $filter, got: ${token.value}`);
+  };
+
+  // Bind a literal for comparison with the field, checking its type
+  const bindLiteral = (field, literal) => {
+    if (field.type === 'raw') {
+      params.push(JSON.stringify(literal.value));
+      return `$${params.length}::jsonb`;
+    }
+
+    if (!FIELD_TYPES[field.type].literals.includes(literal.kind)) {
+      throw new ODataQueryError(`Invalid ${literal.kind} value for ${field.name}`);
+    }
+
+    if (field.type === 'integer' && (!Number.isInteger(literal.value) || literal.value < MIN_INTEGER || literal.value > MAX_INTEGER)) {
+      throw new ODataQueryError(`Invalid integer value for ${field.name}: ${literal.value}`);
+    }
+
+    params.push(literal.value);
+
+    // Timestamps without a time zone are stored as UTC
+    return field.type === 'timestamp'
+      ? `($${params.length}::timestamptz AT TIME ZONE 'UTC')`
+      : `$${params.length}::${FIELD_TYPES[field.type].cast}`;
+  };
+
+  const parseField = () => {
+    const token = next();
+
+    if (token?.type !== 'identifier') {
+      throw new ODataQueryError('Expected a field name in $filter');
+    }
+
+    const field = resolveField(token.value, fields, projection);
+
+    if (field.type === 'collection') {
+      throw new ODataQueryError(`Filtering on collection field ${field.name} is not supported`);
+    }
+
+    return field;
+  };
+
+  const parseComparison = () => {
+    const field = parseField();
+    const operatorToken = next();
+    const expression = valueSql(field);
+
+    if (isKeyword(operatorToken, 'in')) {
+      expect('(');
+      const values = [];
+
+      do {
+        const literal = parseLiteral();
+        if (literal.kind === 'null') {
+          throw new ODataQueryError('null is not allowed in an in list');
+        }
+        values.push(bindLiteral(field, literal));
+      } while (peek()?.value === ',' && next());
+
+      expect(')');
+
+      if (values.length > MAX_IN_VALUES) {
+        throw new ODataQueryError(`At most ${MAX_IN_VALUES} values are allowed in an in list`);
+      }
+
+      return `${expression} IN (${values.join(', ')})`;
+    }
+
+    const operator = operatorToken?.type === 'identifier' && COMPARISON_OPERATORS[operatorToken.value];
+
+    if (!operator) {
+      throw new ODataQueryError(`Unsupported operator in $filter: ${operatorToken?.value ?? 'end of input'}`);
+    }
+
+    const literal = parseLiteral();
+
+    if (literal.kind === 'null') {
+      if (operator !== '=' && operator !== '<>') {
+        throw new ODataQueryError('null can only be compared with eq or ne');
+      }
+
+      // A JSON null in the raw payload counts as null too
+      if (field.type === 'raw') {
+        const isNull = `(${expression} IS NULL OR ${expression} = 'null'::jsonb)`;
+        return operator === '=' ? isNull : `NOT ${isNull}`;
+      }
+
+      return `${expression} ${operator === '=' ? 'IS NULL' : 'IS NOT NULL'}`;
+    }
+
+    return `${expression} ${operator} ${bindLiteral(field, literal)}`;
+  };
+
+  const parseFunction = (name) => {
+    expect('(');
+    const field = parseField();
+
+    if (field.type !== 'text' && field.type !== 'raw') {
+      throw new ODataQueryError(`${name}() needs a string field, ${field.name} is not one`);
+    }
+
+    expect(',');
+    const literal = parseLiteral();
+
+    if (literal.kind !== 'string') {
+      throw new ODataQueryError(`${name}() needs a string value`);
+    }
+
+    expect(')');
+
+    params.push(STRING_FUNCTIONS[name](literal.value));
+    const text = field.type === 'raw' ? `(raw ->> '${field.name}')` : field.column;
+
+    return `${text} LIKE $${params.length}`;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token?.value === '(') {
+      next();
+      const expression = parseOr();
+      expect(')');
+      return `(${expression})`;
+    }
+
+    if (token?.type === 'identifier' && STRING_FUNCTIONS[token.value] && tokens[position + 1]?.value === '(') {
+      next();
+      return parseFunction(token.value);
+    }
+
+    return parseComparison();
+  };
+
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'not')) {
+      next();
+      return `NOT (${parseUnary()})`;
+    }
+
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const parts = [parseUnary()];
+
+    while (isKeyword(peek(), 'and')) {
+      next();
+      parts.push(parseUnary());
+    }
+
+    return parts.join(' AND ');
+  };
+
+  function parseOr() {
+    if (++depth > MAX_FILTER_DEPTH) {
+      throw new ODataQueryError('$filter is nested too deeply');
+    }
+
+    const parts = [parseAnd()];
+
+    while (isKeyword(peek(), 'or')) {
+      next();
+      parts.push(parseAnd());
+    }
+
+    depth--;
+    return parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0];
+  }
+
+  const condition = parseOr();
+
+  if (position < tokens.length) {
+    throw new ODataQueryError(`Unexpected "${peek().value}" in $filter`);
+  }
+
+  return condition;
+};
+
+// $orderby: "Field [asc|desc], ..." with the listing id as the final tie-breaker
+const parseOrderBy = (text, fields, projection) => {
+  const keys = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const [name, direction = 'asc', ...extra] = part.split(/\s+/);
+
+    if (extra.length > 0 || !['asc', 'desc'].includes(direction)) {
+      throw new ODataQueryError(`Invalid $orderby: ${part}`);
+    }
+
+    const field = resolveField(name, fields, projection);
+
+    if (field.type === 'collection') {
+      throw new ODataQueryError(`Cannot order by collection field ${field.name}`);
+    }
+
+    return `${valueSql(field)} ${direction.toUpperCase()} NULLS LAST`;
+  });
+
+  return [...keys, 'id ASC'];
+};
+
+const parseNonNegativeInteger = (value, name) => {
+  if (!/^\d+$/.test(value)) {
+    throw new ODataQueryError(`${name} must be a non-negative integer`);
+  }
+
+  return parseInt(value, 10);
+};
+
+// Translate OData system query options into SQL on listings for the caller's projection.
+// Returns { query } or { error }. `query.top` is the client's $top, the page size is capped
+// at ODATA_MAX_TOP by the route.
+export const parseODataQuery = (options, projection) => {
+  const fields = fieldsFor(projection);
+  const params = [];
+
+  try {
+    const select = options.$select
+      ? [...new Set(options.$select.split(',').map(name => name.trim()).filter(Boolean))]
+          .map(name => resolveField(name, fields, projection))
+      : Object.keys(fields).map(name => resolveField(name, fields, projection));
+
+    // Listings removed from the AMPRE feed are not part of it here either
+    const conditions = ['removed_at IS NULL'];
+
+    if (options.$filter) {
+      if (options.$filter.length > MAX_FILTER_LENGTH) {
+        throw new ODataQueryError(`$filter is longer than ${MAX_FILTER_LENGTH} characters`);
+      }
+
+      conditions.push(`(${parseFilter(options.$filter, fields, projection, params)})`);
+    }
+
+    if (options.$count !== undefined && !['true', 'false'].includes(options.$count)) {
+      throw new ODataQueryError('$count must be true or false');
+    }
+
+    return {
+      query: {
+        selectSql: select.map(field => `${selectSql(field)} AS "${field.name}"`).join(', '),
+        whereSql: conditions.join(' AND '),
+        orderBySql: parseOrderBy(options.$orderby || '', fields, projection).join(', '),
+        params,
+        top: options.$top !== undefined ? parseNonNegativeInteger(options.$top, '$top') : null,
+        skip: options.$skip !== undefined ? parseNonNegativeInteger(options.$skip, '$skip') : 0,
+        count: options.$count === 'true'
+      }
+    };
+  } catch (error) {
+    if (error instanceof ODataQueryError) {
+      return { error: error.message };
+    }
+
+    throw error;
+  }
+};
+
+// Select list and condition for a single record looked up by ListingKey, the key is $1
+export const propertyByKeySql = (projection) => {
+  const fields = fieldsFor(projection);
+  const select = Object.keys(fields).map(name => resolveField(name, fields, projection));
+
+  return `
+    SELECT ${select.map(field => `${selectSql(field)} AS "${field.name}"`).join(', ')}
+    FROM listings
+    WHERE id = $1 AND removed_at IS NULL
+  `;
+};
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// CSDL document describing the Property entity set for the caller's projection
+export const buildMetadata = (projection) => {
+  const properties = Object.entries(fieldsFor(projection)).map(([name, field]) => {
+    const nullable = name === 'ListingKey' ? ' Nullable="false"' : '';
+    return `        <Property Name="${escapeXml(name)}" Type="${FIELD_TYPES[field.type].edm}"${nullable}/>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx" Version="4.0">
+  <edmx:DataServices>
+    <Schema xmlns="http://docs.oasis-open.org/odata/ns/edm" Namespace="org.reso.metadata">
+      <EntityType Name="Property"${projection === 'privileged' ? ' OpenType="true"' : ''}>
+        <Key>
+          <PropertyRef Name="ListingKey"/>
+        </Key>
+${properties.join('\n')}
+      </EntityType>
+      <EntityContainer Name="Default">
+        <EntitySet Name="Property" EntityType="org.reso.metadata.Property"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>
+`;
+};
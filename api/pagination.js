@@ -0,0 +1,305 @@
+import { and, sql } from 'drizzle-orm';
+import { db, pool, estimateRowCount } from '../db/index.js';
+import { listings } from '../db/schema.drizzle.js';
+import { LISTING_GEOGRAPHY_SQL, originGeographySql, RELEVANCE_SQL, mlsMatchSql } from './search-filters.js';
+import { listingSelectSql, stripInternalColumns } from './projections.js';
+
+// Page size limits
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = parseInt(process.env.API_MAX_PAGE_SIZE, 10) || 500;
+
+// Count modes accepted through `?count=`
+export const COUNT_MODES = ['exact', 'estimate', 'none'];
+
+// Listing id as the final tie-breaker, in the direction of the sort it ends
+const ID_ASC = { sql: 'id', column: listings.id, type: 'text', direction: 'asc' };
+const ID_DESC = { sql: 'id', column: listings.id, type: 'text', direction: 'desc' };
+
+// Sort orders for listing endpoints. Every sort ends with the listing id so the order is total,
+// `sql` is used in raw queries and `column` in drizzle queries. Nulls always sort last.
+export const LISTING_SORTS = {
+  modified: [
+    { sql: 'modification_timestamp', column: listings.modificationTimestamp, type: 'timestamp', direction: 'desc', nullable: true },
+    ID_DESC
+  ],
+  newest: [
+    { sql: 'list_date', column: listings.listDate, type: 'timestamp', direction: 'desc', nullable: true },
+    ID_DESC
+  ],
+  price_asc: [
+    { sql: 'list_price', column: listings.listPrice, type: 'numeric', direction: 'asc', nullable: true },
+    ID_ASC
+  ],
+  price_desc: [
+    { sql: 'list_price', column: listings.listPrice, type: 'numeric', direction: 'desc', nullable: true },
+    ID_DESC
+  ],
+  bedrooms: [
+    { sql: 'bedrooms_total', column: listings.bedroomsTotal, type: 'integer', direction: 'desc', nullable: true },
+    ID_DESC
+  ],
+  living_area: [
+    { sql: 'living_area', column: listings.livingArea, type: 'double precision', direction: 'desc', nullable: true },
+    ID_DESC
+  ],
+  price_per_sqft: [
+    {
+      sql: 'list_price / NULLIF(living_area, 0)',
+      column: sql`${listings.listPrice} / NULLIF(${listings.livingArea}, 0)`,
+      type: 'double precision',
+      direction: 'asc',
+      nullable: true
+    },
+    ID_ASC
+  ]
+};
+
+// Order of the changes feed. change_xid is the transaction that last wrote the row, set by
+// the database on every write including soft deletes, so it is not a client-selectable sort.
+export const CHANGE_FEED_KEYS = [
+  { sql: 'change_xid', column: listings.changeXid, type: 'xid8', direction: 'asc', pattern: /^\d+$/ },
+  ID_ASC
+];
+
+// Sort by distance from the origin in the lng/lat parameters starting at $originParam,
+// only available in raw SQL queries
+export const distanceSortKeys = (originParam) => [
+  {
+    sql: `ST_Distance(${LISTING_GEOGRAPHY_SQL}, ${originGeographySql(originParam)})`,
+    type: 'double precision',
+    direction: 'asc',
+    nullable: true
+  },
+  ID_ASC
+];
+
+// Sort keys for a /search sort name, with relevance and distance on top of LISTING_SORTS.
+// `rawSearch` is the result of buildSearchConditions. Returns { sortKeys } or { error }.
+export const resolveSearchSort = (sortName, filters, rawSearch) => {
+  if (sortName === 'relevance') {
+    if (!filters.text) {
+      return { error: 'sort=relevance requires a query' };
+    }
+
+    const sortKeys = [{ sql: RELEVANCE_SQL, type: 'real', direction: 'desc' }, ...LISTING_SORTS.modified];
+
+    // A listing with exactly the pasted MLS number comes before text matches
+    return {
+      sortKeys: rawSearch.mlsParam
+        ? [{ sql: `COALESCE(${mlsMatchSql(rawSearch.mlsParam)}, FALSE)`, type: 'boolean', direction: 'desc' }, ...sortKeys]
+        : sortKeys
+    };
+  }
+
+  if (sortName === 'distance') {
+    return filters.origin
+      ? { sortKeys: distanceSortKeys(rawSearch.originParam) }
+      : { error: 'sort=distance requires a location that can be geocoded' };
+  }
+
+  return LISTING_SORTS[sortName] ? { sortKeys: LISTING_SORTS[sortName] } : { error: `Unknown sort: ${sortName}` };
+};
+
+// Clamp a requested page size
+export const parsePageSize = (value) => {
+  const size = parseInt(value, 10) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+};
+
+// Non-negative integer query parameters, short enough to stay within an SQL integer
+export const QUERY_INTEGER_PATTERN = /^\d{1,9}$/;
+
+// Parse an offset query parameter, null when it is not a non-negative integer
+export const parseOffset = (value) => (QUERY_INTEGER_PATTERN.test(value) ? parseInt(value, 10) : null);
+
+// Cursors are opaque to clients: the sort name plus the sort key values of the last row
+export const encodeCursor = (sortName, values) => (
+  Buffer.from(JSON.stringify({ s: sortName, v: values })).toString('base64url')
+);
+
+// Decode a cursor for the given sort, returns null when it is malformed or from another sort
+export const decodeCursor = (token, sortName, keys) => {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+    if (s !== sortName || !Array.isArray(v) || v.length !== keys.length) {
+      return null;
+    }
+
+    const valid = v.every((value, i) => (
+      (typeof value === 'string' && (!keys[i].pattern || keys[i].pattern.test(value))) || (value === null && keys[i].nullable)
+    ));
+    return valid ? v : null;
+  } catch {
+    return null;
+  }
+};
+
+// Build "row comes after the cursor" for a list of sort keys:
+// after(k1) OR (k1 = v1 AND (after(k2) OR (k2 = v2 AND ...)))
+const buildKeyset = (keys, values, render) => {
+  let condition = null;
+
+  for (let i = keys.length - 1; i >= 0; i--) {
+    const after = render.after(keys[i], values[i]);
+    condition = condition === null
+      ? after
+      : render.or(after, render.and(render.equal(keys[i], values[i]), condition));
+  }
+
+  return condition;
+};
+
+const comparator = (key) => (key.direction === 'asc' ? '>' : '<');
+
+// Keyset condition for raw SQL, cursor values are appended to params
+export const keysetConditionSql = (keys, values, params) => buildKeyset(keys, values, {
+  after: (key, value) => {
+    // Nothing sorts after a null except more nulls, which are handled by equal()
+    if (value === null) return 'FALSE';
+
+    params.push(value);
+    const condition = `(${key.sql}) ${comparator(key)} $${params.length}::${key.type}`;
+    return key.nullable ? `(${condition} OR (${key.sql}) IS NULL)` : condition;
+  },
+  equal: (key, value) => {
+    if (value === null) return `(${key.sql}) IS NULL`;
+
+    params.push(value);
+    return `(${key.sql}) = $${params.length}::${key.type}`;
+  },
+  or: (a, b) => `(${a} OR ${b})`,
+  and: (a, b) => `(${a} AND ${b})`
+});
+
+// Keyset condition for drizzle queries
+export const keysetConditionFields = (keys, values) => buildKeyset(keys, values, {
+  after: (key, value) => {
+    if (value === null) return sql`FALSE`;
+
+    const condition = sql`${key.column} ${sql.raw(comparator(key))} ${value}::${sql.raw(key.type)}`;
+    return key.nullable ? sql`(${condition} OR ${key.column} IS NULL)` : condition;
+  },
+  equal: (key, value) => (
+    value === null ? sql`${key.column} IS NULL` : sql`${key.column} = ${value}::${sql.raw(key.type)}`
+  ),
+  or: (a, b) => sql`(${a} OR ${b})`,
+  and: (a, b) => sql`(${a} AND ${b})`
+});
+
+// Sort key values are selected as text so they survive the round trip through the cursor
+export const sortKeySelectSql = (keys) => (
+  keys.map((key, i) => `(${key.sql})::text AS _sort_${i}`).join(', ')
+);
+
+export const sortKeySelectFields = (keys) => Object.fromEntries(
+  keys.map((key, i) => [`_sort_${i}`, sql`(${key.column})::text`])
+);
+
+export const orderBySql = (keys) => (
+  keys.map(key => `${key.sql} ${key.direction.toUpperCase()} NULLS LAST`).join(', ')
+);
+
+export const orderByFields = (keys) => (
+  keys.map(key => sql`${key.column} ${sql.raw(key.direction.toUpperCase())} NULLS LAST`)
+);
+
+// Drop the look-ahead row, build next_cursor from the last row and strip the sort values
+export const buildPage = (rows, pageSize, sortName, keys) => {
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > pageSize
+    ? encodeCursor(sortName, keys.map((_, i) => last[`_sort_${i}`]))
+    : null;
+
+  const stripped = page.map(row => Object.fromEntries(
+    Object.entries(row).filter(([key]) => !key.startsWith('_sort_'))
+  ));
+
+  return { rows: stripped, nextCursor };
+};
+
+// Count the rows of a select query: exactly, from the planner estimate, or not at all
+export const countRows = async (mode, selectSql, params) => {
+  if (mode === 'none') {
+    return { total: null, estimated: false };
+  }
+
+  if (mode === 'exact') {
+    const result = await pool.query(`SELECT COUNT(*) FROM (${selectSql}) AS matched`, params);
+    return { total: parseInt(result.rows[0].count, 10), estimated: false };
+  }
+
+  return { total: await estimateRowCount(selectSql, params), estimated: true };
+};
+
+// Run a keyset paginated drizzle query on listings.
+// `offset` is only honoured without a cursor, for clients that still page by offset.
+export const paginateListings = async ({ fields, where, sortName, cursorValues, pageSize, offset = 0, count = 'estimate' }) => {
+  const keys = LISTING_SORTS[sortName];
+
+  const countQuery = db.select({ one: sql`1` }).from(listings).where(where).toSQL();
+  const { total, estimated } = await countRows(count, countQuery.sql, countQuery.params);
+
+  let query = db
+    .select({ ...fields, ...sortKeySelectFields(keys) })
+    .from(listings)
+    .where(cursorValues ? and(where, keysetConditionFields(keys, cursorValues)) : where)
+    .orderBy(...orderByFields(keys))
+    .limit(pageSize + 1);
+
+  if (!cursorValues && offset > 0) {
+    query = query.offset(offset);
+  }
+
+  const { rows, nextCursor } = buildPage(await query, pageSize, sortName, keys);
+
+  return { total, estimated, rows, nextCursor };
+};
+
+// Run a keyset paginated search in raw SQL from the conditions of buildSearchConditions.
+// Rows carry `relevance`, and `distance_km` when the filters have a geocoded origin.
+export const paginateSearch = async ({ filters, rawSearch, projection, sortName, sortKeys, cursorValues, pageSize, offset = 0, count = 'estimate' }) => {
+  const { conditions, params } = rawSearch;
+
+  // Count before the cursor narrows the result set
+  const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const { total, estimated } = await countRows(count, `SELECT 1 FROM listings${whereClause}`, params);
+
+  // Continue after the last row of the previous page
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+
+  if (cursorValues) {
+    pageConditions.push(keysetConditionSql(sortKeys, cursorValues, pageParams));
+  }
+
+  // Build the query with relevance ranking and the distance to the searched location
+  let queryStr = `
+    SELECT ${listingSelectSql(projection)},
+    ${filters.text ? RELEVANCE_SQL : '0'} AS relevance,
+    ${filters.origin ? `ST_Distance(${LISTING_GEOGRAPHY_SQL}, ${originGeographySql(rawSearch.originParam)}) / 1000 AS distance_km,` : ''}
+    ${sortKeySelectSql(sortKeys)}
+    FROM listings
+  `;
+
+  if (pageConditions.length > 0) {
+    queryStr += ' WHERE ' + pageConditions.join(' AND ');
+  }
+
+  queryStr += ` ORDER BY ${orderBySql(sortKeys)}`;
+
+  // Fetch one extra row to know whether there is a next page
+  pageParams.push(pageSize + 1);
+  queryStr += ` LIMIT $${pageParams.length}`;
+
+  if (!cursorValues && offset > 0) {
+    pageParams.push(offset);
+    queryStr += ` OFFSET $${pageParams.length}`;
+  }
+
+  const result = await pool.query(queryStr, pageParams);
+  const { rows, nextCursor } = buildPage(result.rows, pageSize, sortName, sortKeys);
+
+  return { total, estimated, rows: rows.map(stripInternalColumns), nextCursor };
+};
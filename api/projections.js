@@ -0,0 +1,66 @@
+import { getTableColumns } from 'drizzle-orm';
+import { listings } from '../db/schema.drizzle.js';
+import { hasScope } from './auth.js';
+
+// Listing columns that are for agents only under the board's data rules.
+// `raw` holds the full AMPRE payload, including agent-only fields.
+export const PRIVATE_LISTING_COLUMNS = new Set(['private_remarks', 'directions', 'raw']);
+
+// Agent-only AMPRE fields, for data keyed by AMPRE field name instead of column (listing_history,
+// webhook payloads): the fields behind private_remarks and directions, and the showing, lockbox
+// and compensation fields that are only kept in `raw`
+export const PRIVATE_AMPRE_FIELDS = new Set([
+  'PrivateRemarks',
+  'Directions',
+  'ShowingInstructions',
+  'ShowingRequirements',
+  'ShowingContactName',
+  'ShowingContactPhone',
+  'ShowingContactType',
+  'LockBoxLocation',
+  'LockBoxSerialNumber',
+  'LockBoxType',
+  'BuyerAgencyCompensation',
+  'BuyerAgencyCompensationType'
+]);
+
+// Columns maintained by the database for querying, never returned to clients
+export const INTERNAL_LISTING_COLUMNS = new Set(['search_vector', 'change_xid']);
+
+const ALL_LISTING_FIELDS = Object.fromEntries(
+  Object.entries(getTableColumns(listings)).filter(([, column]) => !INTERNAL_LISTING_COLUMNS.has(column.name))
+);
+
+// Public projection, keyed like drizzle results (camelCase)
+const PUBLIC_LISTING_FIELDS = Object.fromEntries(
+  Object.entries(ALL_LISTING_FIELDS).filter(([, column]) => !PRIVATE_LISTING_COLUMNS.has(column.name))
+);
+
+// Public projection as SQL column names (snake_case). Columns that only exist in the
+// database, e.g. ones added by schema discovery, are never public.
+const PUBLIC_LISTING_COLUMNS = Object.values(PUBLIC_LISTING_FIELDS).map(column => column.name);
+
+// Pick the projection for the caller, keys with the full scope see privileged fields
+export const getProjection = (req) => (req.apiKey && hasScope(req.apiKey, 'full') ? 'privileged' : 'public');
+
+// Select list for raw SQL queries on listings, optionally qualified with a table alias.
+// The privileged list selects every column, rows go through stripInternalColumns before returning.
+export const listingSelectSql = (projection, alias = null) => {
+  const prefix = alias ? `${alias}.` : '';
+
+  if (projection === 'privileged') {
+    return `${prefix}*`;
+  }
+
+  return PUBLIC_LISTING_COLUMNS.map(column => `${prefix}${column}`).join(', ');
+};
+
+// Drop internal columns from a row selected with listingSelectSql
+export const stripInternalColumns = (row) => Object.fromEntries(
+  Object.entries(row).filter(([key]) => !INTERNAL_LISTING_COLUMNS.has(key))
+);
+
+// Field map for drizzle `db.select(...)` queries on listings
+export const listingSelectFields = (projection) => (
+  projection === 'privileged' ? ALL_LISTING_FIELDS : PUBLIC_LISTING_FIELDS
+);
@@ -3,18 +3,46 @@ import { replicateAll } from '../services/sequential-replication.js';
 import { discoverSchema, generateSchemaUpdateSQL } from '../services/schema-discovery.js';
 import { getReplicationState, getStats, queryListings } from '../db/index.js';
 import { db, pool } from '../db/index.js';
-import { and, eq, gte, lte, desc, sql } from 'drizzle-orm';
+import { and, eq, gte, lte, isNull, sql } from 'drizzle-orm';
 import { listings } from '../db/schema.drizzle.js';
 import { logger } from '../utils/logger.js';
+import { authenticate, requireScope, requireAdmin } from './auth.js';
+import { getProjection, listingSelectFields } from './projections.js';
+import {
+  COUNT_MODES,
+  parsePageSize,
+  parseOffset,
+  encodeCursor,
+  decodeCursor,
+  LISTING_SORTS,
+  CHANGE_FEED_KEYS,
+  paginateListings,
+  keysetConditionFields,
+  sortKeySelectFields,
+  orderByFields
+} from './pagination.js';
 import searchRoutes from './search-routes.js';
+import savedSearchRoutes from './saved-search-routes.js';
+import { getAnalyticsSummary } from './analytics.js';
+import { graphqlHandler } from './graphql.js';
 
 const router = express.Router();
 
-// Mount search routes
-router.use('/search', searchRoutes);
+// Every endpoint requires an API key
+router.use(authenticate);
+
+// Search, suggest, filters and listing history share the /api prefix
+router.use(searchRoutes);
+
+// Saved searches and their alerts
+router.use(savedSearchRoutes);
+
+
+// Only one manual replication may run in this process at a time
+let replicationInProgress = false;
 
 // Status endpoint with enhanced statistics
-router.get('/status', async (req, res) => {
+router.get('/status', requireScope('search'), async (req, res) => {
   try {
     // Get the current replication state
     const state = await getReplicationState();
@@ -33,6 +61,7 @@ router.get('/status', async (req, res) => {
       },
       database: {
         total_listings: parseInt(stats.total_listings, 10),
+        removed_listings: parseInt(stats.removed_listings, 10),
         oldest_listing: stats.oldest_listing,
         newest_listing: stats.newest_listing,
         listings_with_media: parseInt(stats.listings_with_media, 10),
@@ -47,8 +76,14 @@ router.get('/status', async (req, res) => {
 });
 
 // Trigger replication manually with better progress reporting
-router.post('/replicate', async (req, res) => {
+router.post('/replicate', requireAdmin, async (req, res) => {
   try {
+    if (replicationInProgress) {
+      return res.status(409).json({ status: 'replication_in_progress' });
+    }
+    
+    replicationInProgress = true;
+    
     // Respond immediately to client
     res.json({ status: 'replication_started' });
     
@@ -59,6 +94,9 @@ router.post('/replicate', async (req, res) => {
       })
       .catch(error => {
         logger.error('Manual replication failed:', error);
+      })
+      .finally(() => {
+        replicationInProgress = false;
       });
   } catch (error) {
     logger.error('Error starting replication:', error);
@@ -67,7 +105,7 @@ router.post('/replicate', async (req, res) => {
 });
 
 // Discover and update schema
-router.post('/discover-schema', async (req, res) => {
+router.post('/discover-schema', requireAdmin, async (req, res) => {
   try {
     // Discover schema
     const schema = await discoverSchema();
@@ -93,12 +131,12 @@ router.post('/discover-schema', async (req, res) => {
 });
 
 // Get a specific listing using Drizzle
-router.get('/listings/:id', async (req, res) => {
+router.get('/listings/:id', requireScope('search'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Query using Drizzle ORM for type safety
-    const result = await db.select()
+    // Query using Drizzle ORM for type safety, private fields only for privileged callers
+    const result = await db.select(listingSelectFields(getProjection(req)))
       .from(listings)
       .where(eq(listings.id, id))
       .limit(1);
@@ -114,8 +152,31 @@ router.get('/listings/:id', async (req, res) => {
   }
 });
 
+// Look up a listing by MLS number (AMPRE ListingId). Relisted properties can share a number,
+// live listings come first and then the most recently modified one.
+router.get('/listings/by-mls/:mls', requireScope('search'), async (req, res) => {
+  try {
+    const mlsNumber = req.params.mls.trim().toUpperCase();
+    
+    const result = await db.select(listingSelectFields(getProjection(req)))
+      .from(listings)
+      .where(eq(listings.mlsNumber, mlsNumber))
+      .orderBy(sql`${listings.removedAt} IS NOT NULL`, sql`${listings.modificationTimestamp} DESC NULLS LAST`)
+      .limit(1);
+    
+    if (result.length === 0) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    
+    return res.json(result[0]);
+  } catch (error) {
+    logger.error(`Error getting listing by MLS number ${req.params.mls}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Search listings with improved filtering using Drizzle
-router.get('/listings', async (req, res) => {
+router.get('/listings', requireScope('search'), async (req, res) => {
   try {
     const { 
       city, 
@@ -125,13 +186,33 @@ router.get('/listings', async (req, res) => {
       min_bedrooms,
       province,
       status,
+      include_removed,
+      cursor,
+      count = 'estimate',
       limit = 20,
-      offset = 0
+      offset = '0'
     } = req.query;
     
+    const pageSize = parsePageSize(limit);
+    const pageOffset = parseOffset(offset);
+    
+    if (pageOffset === null) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    const cursorValues = cursor ? decodeCursor(cursor, 'modified', LISTING_SORTS.modified) : null;
+    
+    if (cursor && !cursorValues) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
     // Build conditions array for cleaner filtering
     const conditions = [];
     
+    // Listings removed upstream are hidden by default
+    if (include_removed !== 'true') {
+      conditions.push(isNull(listings.removedAt));
+    }
+    
     if (city) {
       conditions.push(eq(listings.city, city));
     }
@@ -163,29 +244,25 @@ router.get('/listings', async (req, res) => {
     // Combine conditions with AND
     const whereClause = conditions.length > 0 ? and(...conditions) : undefined;
     
-    // Get count for pagination
-    const countResult = await db
-      .select({ count: sql`COUNT(*)` })
-      .from(listings)
-      .where(whereClause);
-      
-    const totalCount = parseInt(countResult[0].count.toString(), 10);
-    
-    // Get actual results
-    const result = await db
-      .select()
-      .from(listings)
-      .where(whereClause)
-      .orderBy(desc(listings.modificationTimestamp))
-      .limit(parseInt(limit, 10))
-      .offset(parseInt(offset, 10));
+    // Page by modification time, continuing after the cursor when one is given
+    const { total, estimated, rows, nextCursor } = await paginateListings({
+      fields: listingSelectFields(getProjection(req)),
+      where: whereClause,
+      sortName: 'modified',
+      cursorValues,
+      pageSize,
+      offset: pageOffset,
+      count: COUNT_MODES.includes(count) ? count : 'estimate'
+    });
     
     // Prepare pagination info
     return res.json({
-      total: totalCount,
-      limit: parseInt(limit, 10),
-      offset: parseInt(offset, 10),
-      listings: result
+      total,
+      total_estimated: estimated,
+      limit: pageSize,
+      offset: cursorValues ? null : pageOffset,
+      next_cursor: nextCursor,
+      listings: rows
     });
   } catch (error) {
     logger.error('Error searching listings:', error);
@@ -193,43 +270,71 @@ router.get('/listings', async (req, res) => {
   }
 });
 
-// Get listing statistics for analytics
-router.get('/analytics/summary', async (req, res) => {
+// Changes feed for mirroring the listings table: every listing written since the `since` token,
+// oldest first by (writing transaction, id). Listings removed upstream come back as deletions.
+// Clients store `next` and pass it as `since` on the next call, starting without one.
+router.get('/changes', requireScope('search'), async (req, res) => {
   try {
-    // Get statistics grouped by property type
-    const typeStats = await db
-      .select({
-        property_type: listings.propertyType,
-        count: sql`COUNT(*)`,
-        avg_price: sql`AVG(list_price)`,
-        min_price: sql`MIN(list_price)`,
-        max_price: sql`MAX(list_price)`
-      })
-      .from(listings)
-      .groupBy(listings.propertyType);
-    
-    // Get statistics grouped by city
-    const cityStats = await db
-      .select({
-        city: listings.city,
-        count: sql`COUNT(*)`,
-        avg_price: sql`AVG(list_price)`,
-        min_price: sql`MIN(list_price)`,
-        max_price: sql`MAX(list_price)`
-      })
+    const { since, limit = 100 } = req.query;
+    
+    const pageSize = parsePageSize(limit);
+    const sinceValues = since ? decodeCursor(since, 'changes', CHANGE_FEED_KEYS) : null;
+    
+    if (since && !sinceValues) {
+      return res.status(400).json({ error: 'Invalid since token' });
+    }
+    
+    // Only rows whose writing transaction is older than every transaction still running, so a
+    // transaction that commits later can never write behind a token a client already holds
+    const conditions = [
+      sql`${listings.changeXid} < pg_snapshot_xmin(pg_current_snapshot())`
+    ];
+    
+    if (sinceValues) {
+      conditions.push(keysetConditionFields(CHANGE_FEED_KEYS, sinceValues));
+    }
+    
+    const rows = await db
+      .select({ ...listingSelectFields(getProjection(req)), ...sortKeySelectFields(CHANGE_FEED_KEYS) })
       .from(listings)
-      .groupBy(listings.city)
-      .orderBy(sql`COUNT(*)`, 'desc')
-      .limit(10); // Top 10 cities
+      .where(and(...conditions))
+      .orderBy(...orderByFields(CHANGE_FEED_KEYS))
+      .limit(pageSize + 1);
+    
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
     
+    const changes = page.map(({ _sort_0, _sort_1: id, ...listing }) => (
+      listing.removedAt
+        ? { operation: 'delete', id, updated_at: listing.updatedAt, removed_at: listing.removedAt }
+        : { operation: 'upsert', id, updated_at: listing.updatedAt, listing }
+    ));
+    
+    // Without new rows the client keeps polling from where it is
     return res.json({
-      by_property_type: typeStats,
-      by_city: cityStats
+      changes,
+      next: last ? encodeCursor('changes', [last._sort_0, last._sort_1]) : (since || null),
+      has_more: rows.length > pageSize
     });
+  } catch (error) {
+    logger.error('Error reading changes feed:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get listing statistics for analytics
+router.get('/analytics/summary', requireScope('search'), async (req, res) => {
+  try {
+    return res.json(await getAnalyticsSummary());
   } catch (error) {
     logger.error('Error getting analytics summary:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * GraphQL endpoint for listings with nested media, history and nearby listings, see api/graphql.js
+ */
+router.all('/graphql', requireScope('search'), graphqlHandler);
+
 export default router; 
\ No newline at end of file
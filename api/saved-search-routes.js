@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import express from 'express';
+import {
+  createSavedSearch,
+  listSavedSearches,
+  getSavedSearch,
+  deleteSavedSearch,
+  setSavedSearchWebhookSecret,
+  getSavedSearchAlerts
+} from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { requireScope, hasScope } from './auth.js';
+import { SEARCH_FILTER_PARAMS, resolveSearchFilters } from './search-filters.js';
+import { ALERT_TYPES } from '../services/saved-search-alerts.js';
+import { ALERT_DELIVERY_METHODS, PRIVILEGED_DELIVERY_METHODS, isValidDeliveryTarget } from '../services/alert-transports.js';
+
+const router = express.Router();
+
+// Saved searches belong to a stored API key, the ADMIN_API_KEY from the environment has none
+const requireStoredKey = (req, res, next) => {
+  if (req.apiKey.id === null) {
+    return res.status(403).json({ error: 'Saved searches require an API key created with manage-api-keys' });
+  }
+
+  return next();
+};
+
+router.use('/saved-searches', requireScope('search'), requireStoredKey);
+
+// Longest saved search name, it ends up in email subjects
+const MAX_NAME_LENGTH = 200;
+
+// Secret webhook deliveries are signed with, returned to the client once
+const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Validate a saved search body for an API key, returns { savedSearch } or { error }
+const parseSavedSearch = async (body = {}, apiKey) => {
+  const { name, params = {}, alert_types: alertTypes = ALERT_TYPES, delivery = { method: 'log' } } = body;
+
+  if (!name || typeof name !== 'string') {
+    return { error: 'name is required' };
+  }
+
+  if (name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) {
+    return { error: `name must be a single line of at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return { error: 'params must be an object of /api/search parameters' };
+  }
+
+  // Only keep the filters, paging and sort parameters don't apply to alerts
+  const filterParams = Object.fromEntries(
+    SEARCH_FILTER_PARAMS
+      .filter(param => params[param] !== undefined && params[param] !== null)
+      .map(param => [param, String(params[param])])
+  );
+
+  const { error } = await resolveSearchFilters(filterParams);
+
+  if (error) {
+    return { error };
+  }
+
+  if (!Array.isArray(alertTypes) || alertTypes.length === 0 || alertTypes.some(type => !ALERT_TYPES.includes(type))) {
+    return { error: `alert_types must be a list of: ${ALERT_TYPES.join(', ')}` };
+  }
+
+  if (!ALERT_DELIVERY_METHODS.includes(delivery?.method)) {
+    return { error: `delivery.method must be one of: ${ALERT_DELIVERY_METHODS.join(', ')}` };
+  }
+
+  if (PRIVILEGED_DELIVERY_METHODS.includes(delivery.method) && !hasScope(apiKey, 'full')) {
+    return { error: `delivery.method ${delivery.method} requires an API key with the full scope` };
+  }
+
+  // Webhook targets must resolve to public addresses
+  if (!(await isValidDeliveryTarget(delivery.method, delivery.target))) {
+    return { error: `Invalid delivery.target for ${delivery.method}` };
+  }
+
+  return {
+    savedSearch: {
+      name,
+      params: filterParams,
+      alertTypes: [...new Set(alertTypes)],
+      deliveryMethod: delivery.method,
+      deliveryTarget: delivery.target || null
+    }
+  };
+};
+
+/**
+ * Save a set of /api/search filters to get alerts for new listings and price drops
+ */
+router.post('/saved-searches', async (req, res) => {
+  try {
+    const { savedSearch, error } = await parseSavedSearch(req.body, req.apiKey);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const webhookSecret = savedSearch.deliveryMethod === 'webhook' ? generateWebhookSecret() : null;
+    const created = await createSavedSearch({ apiKeyId: req.apiKey.id, ...savedSearch, webhookSecret });
+
+    // The secret is only ever returned here and when it is rotated
+    return res.status(201).json(webhookSecret ? { ...created, webhook_secret: webhookSecret } : created);
+  } catch (error) {
+    logger.error('Error creating saved search:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * List the saved searches of the calling API key
+ */
+router.get('/saved-searches', async (req, res) => {
+  try {
+    const savedSearches = await listSavedSearches(req.apiKey.id);
+    return res.json({ saved_searches: savedSearches });
+  } catch (error) {
+    logger.error('Error listing saved searches:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get a saved search
+ */
+router.get('/saved-searches/:id', async (req, res) => {
+  try {
+    const savedSearch = await getSavedSearch(parseInt(req.params.id, 10) || 0, req.apiKey.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    return res.json(savedSearch);
+  } catch (error) {
+    logger.error(`Error getting saved search ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Delete a saved search and its alerts
+ */
+router.delete('/saved-searches/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSavedSearch(parseInt(req.params.id, 10) || 0, req.apiKey.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting saved search ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Replace the secret webhook alerts are signed with, the new secret is returned once
+ */
+router.post('/saved-searches/:id/webhook-secret', async (req, res) => {
+  try {
+    const webhookSecret = generateWebhookSecret();
+    const updated = await setSavedSearchWebhookSecret(parseInt(req.params.id, 10) || 0, req.apiKey.id, webhookSecret);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Webhook saved search not found' });
+    }
+
+    return res.json({ webhook_secret: webhookSecret });
+  } catch (error) {
+    logger.error(`Error rotating webhook secret of saved search ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Latest alerts of a saved search with their delivery status
+ */
+router.get('/saved-searches/:id/alerts', async (req, res) => {
+  try {
+    const savedSearch = await getSavedSearch(parseInt(req.params.id, 10) || 0, req.apiKey.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const alerts = await getSavedSearchAlerts(savedSearch.id, { limit });
+
+    return res.json({ alerts });
+  } catch (error) {
+    logger.error(`Error getting alerts for saved search ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
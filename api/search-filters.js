@@ -0,0 +1,213 @@
+import { geocodeWithCache } from '../utils/geocoding.js';
+import { parseBbox, parsePolygon } from '../utils/geometry.js';
+
+// Listing point, matches the expression of the GIST index in 0001_spatial_indexes.sql
+export const LISTING_POINT_SQL = 'ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)';
+
+// Listing point as geography for distances in meters, matches the GIST index in 0008_geography_index.sql
+export const LISTING_GEOGRAPHY_SQL = `(${LISTING_POINT_SQL}::geography)`;
+
+// Geography of the lng/lat parameters starting at $param
+export const originGeographySql = (param) => `(ST_SetSRID(ST_MakePoint($${param}, $${param + 1}), 4326)::geography)`;
+
+// Relevance of a listing for the text query in $1, weighted by the field that matched
+export const RELEVANCE_SQL = `ts_rank(search_vector, to_tsquery('english', $1))`;
+
+// Queries that look like a whole MLS number: an optional board letter followed by digits
+const MLS_NUMBER_PATTERN = /^[A-Z]?\d{6,10}$/i;
+
+// MLS number in a search query, normalized to upper case, or null when it does not look like one
+export const parseMlsNumber = (value) => {
+  const text = String(value).trim();
+  return MLS_NUMBER_PATTERN.test(text) ? text.toUpperCase() : null;
+};
+
+// Exact match of a listing on the MLS number (or ListingKey) in $param
+export const mlsMatchSql = (param) => `(mls_number = $${param} OR id = $${param})`;
+
+// Turn free text into a tsquery where every word is a prefix, so "Bloor" also matches
+// "Bloorview". Returns null when the text has no searchable words.
+export const toPrefixTsQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(word => `${word}:*`).join(' & ') : null;
+};
+
+// Query parameters read by resolveSearchFilters, what a saved search stores
+export const SEARCH_FILTER_PARAMS = [
+  'query', 'location', 'radius', 'bbox', 'polygon', 'minPrice', 'maxPrice',
+  'bedrooms', 'bathrooms', 'propertyType', 'city', 'province', 'includeRemoved'
+];
+
+// Parse the filter parameters shared by /search and the map endpoints and geocode the location.
+// Returns { filters } or { error } when a parameter is invalid.
+export const resolveSearchFilters = async ({
+  query,
+  location,
+  radius = 10,
+  bbox,
+  polygon,
+  minPrice,
+  maxPrice,
+  bedrooms,
+  bathrooms,
+  propertyType,
+  city,
+  province,
+  includeRemoved
+}) => {
+  const bounds = bbox ? parseBbox(bbox) : null;
+  const area = polygon ? parsePolygon(polygon) : null;
+
+  if (bbox && !bounds) {
+    return { error: 'Invalid bbox, expected minLng,minLat,maxLng,maxLat' };
+  }
+
+  if (polygon && !area) {
+    return { error: 'Invalid polygon, expected a GeoJSON Polygon/MultiPolygon or an encoded polyline' };
+  }
+
+  // Number() rather than parseFloat, so "5km" is rejected instead of read as 5
+  const radiusKm = Number(radius);
+
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+    return { error: 'Invalid radius, expected a positive number of km' };
+  }
+
+  const text = query ? toPrefixTsQuery(query) : null;
+  const mlsNumber = query ? parseMlsNumber(query) : null;
+
+  // Punctuation only, e.g. "--", would otherwise drop the text filter and match every listing
+  if (query && String(query).trim().length > 0 && !text) {
+    return { error: 'Invalid query, expected at least one word or number' };
+  }
+  const hasLocation = Boolean(location && location.trim().length > 0);
+
+  // Geocoding failures fall back to searching without the radius
+  let origin = null;
+  if (hasLocation) {
+    const { lat, lng } = await geocodeWithCache(location);
+    origin = lat && lng ? { lat, lng } : null;
+  }
+
+  return {
+    filters: {
+      text,
+      mlsNumber,
+      hasLocation,
+      origin,
+      radiusKm,
+      bounds,
+      area,
+      minPrice: minPrice ? parseFloat(minPrice) : null,
+      maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+      bedrooms: bedrooms ? parseInt(bedrooms, 10) : null,
+      bathrooms: bathrooms ? parseInt(bathrooms, 10) : null,
+      propertyType: propertyType || null,
+      city: city || null,
+      province: province || null,
+      // Listings removed upstream are hidden by default
+      excludeRemoved: includeRemoved !== 'true'
+    }
+  };
+};
+
+// Whether the filters need the raw SQL path (text, radius or map area search)
+export const needsRawSearch = (filters) => Boolean(filters.text || filters.hasLocation || filters.bounds || filters.area);
+
+// Build SQL conditions for the filters. The text query is always $1, followed by the MLS number
+// and the geocoded origin as lng/lat, so RELEVANCE_SQL, mlsMatchSql and distance expressions can refer to them.
+export const buildSearchConditions = (filters) => {
+  const conditions = [];
+  const params = [];
+  let mlsParam = null;
+  let originParam = null;
+
+  // Text search condition, a query shaped like an MLS number also matches it exactly
+  if (filters.text) {
+    params.push(filters.text);
+
+    if (filters.mlsNumber) {
+      params.push(filters.mlsNumber);
+      mlsParam = params.length;
+      conditions.push(`(search_vector @@ to_tsquery('english', $1) OR ${mlsMatchSql(mlsParam)})`);
+    } else {
+      conditions.push(`search_vector @@ to_tsquery('english', $1)`);
+    }
+  }
+
+  // Location-based search, on geography so the radius is in meters in every direction
+  if (filters.origin) {
+    params.push(filters.origin.lng);
+    originParam = params.length;
+    params.push(filters.origin.lat);
+    params.push(filters.radiusKm * 1000);
+
+    conditions.push(`
+      (latitude IS NOT NULL AND longitude IS NOT NULL) AND
+      ST_DWithin(${LISTING_GEOGRAPHY_SQL}, ${originGeographySql(originParam)}, $${params.length})
+    `);
+  }
+
+  // Map viewport, the && operator uses the GIST index on the listing point
+  if (filters.bounds) {
+    params.push(...filters.bounds);
+    conditions.push(`
+      ${LISTING_POINT_SQL} &&
+      ST_MakeEnvelope($${params.length-3}, $${params.length-2}, $${params.length-1}, $${params.length}, 4326)
+    `);
+  }
+
+  // Drawn area
+  if (filters.area) {
+    params.push(JSON.stringify(filters.area));
+    conditions.push(`
+      ST_Intersects(
+        ${LISTING_POINT_SQL},
+        ST_SetSRID(ST_GeomFromGeoJSON($${params.length}), 4326)
+      )
+    `);
+  }
+
+  if (filters.excludeRemoved) {
+    conditions.push('removed_at IS NULL');
+  }
+
+  // Price range
+  if (filters.minPrice) {
+    params.push(filters.minPrice);
+    conditions.push(`list_price >= $${params.length}`);
+  }
+
+  if (filters.maxPrice) {
+    params.push(filters.maxPrice);
+    conditions.push(`list_price <= $${params.length}`);
+  }
+
+  // Other filters
+  if (filters.bedrooms) {
+    params.push(filters.bedrooms);
+    conditions.push(`bedrooms_total >= $${params.length}`);
+  }
+
+  if (filters.bathrooms) {
+    params.push(filters.bathrooms);
+    conditions.push(`bathrooms_total >= $${params.length}`);
+  }
+
+  if (filters.propertyType) {
+    params.push(filters.propertyType);
+    conditions.push(`property_type = $${params.length}`);
+  }
+
+  if (filters.city) {
+    params.push(filters.city);
+    conditions.push(`city = $${params.length}`);
+  }
+
+  if (filters.province) {
+    params.push(filters.province);
+    conditions.push(`province = $${params.length}`);
+  }
+
+  return { conditions, params, mlsParam, originParam };
+};
@@ -1,237 +1,203 @@
 import express from 'express';
-import { pool, db } from '../db/index.js';
-import { eq, like, and, or, gte, lte, desc, sql } from 'drizzle-orm';
+import { pool, db, getListingHistory, isListingInDatabase } from '../db/index.js';
+import { eq, like, and, or, gte, lte, desc, isNull, sql } from 'drizzle-orm';
 import { listings } from '../db/schema.drizzle.js';
 import { logger } from '../utils/logger.js';
-import { geocodeWithCache } from '../utils/geocoding.js';
+import { requireScope } from './auth.js';
+import { getProjection, listingSelectFields } from './projections.js';
+import { GEOJSON_CONTENT_TYPE, wantsGeoJson, toFeatureCollection } from './formats.js';
+import { parseFacets, computeFacets } from './facets.js';
+import { getSuggestions, DEFAULT_SUGGESTIONS_PER_TYPE, MAX_SUGGESTIONS_PER_TYPE } from './suggestions.js';
+import {
+  LISTING_POINT_SQL,
+  resolveSearchFilters,
+  needsRawSearch,
+  buildSearchConditions
+} from './search-filters.js';
+import {
+  COUNT_MODES,
+  QUERY_INTEGER_PATTERN,
+  parsePageSize,
+  parseOffset,
+  decodeCursor,
+  resolveSearchSort,
+  paginateListings,
+  paginateSearch
+} from './pagination.js';
 
 const router = express.Router();
 
+// Map clustering configuration
+const CLUSTER_CELL_PIXELS = parseInt(process.env.CLUSTER_CELL_PIXELS, 10) || 60;
+const MAX_CLUSTERS = parseInt(process.env.MAX_CLUSTERS, 10) || 1000;
+const MAX_CLUSTER_ZOOM = 22;
+
+// Most entries per /listings/:id/history page, same bound as the GraphQL history field
+const MAX_HISTORY_LIMIT = 500;
+
+// Vector tile configuration, tiles only carry public fields needed to draw and label markers
+const MAX_TILE_FEATURES = parseInt(process.env.MAX_TILE_FEATURES, 10) || 5000;
+const TILE_CACHE_SECONDS = parseInt(process.env.TILE_CACHE_SECONDS, 10) || 60;
+const TILE_COLUMNS = `
+  id, list_price::float8 AS list_price, property_type, standard_status,
+  bedrooms_total, bathrooms_total, city, preferred_media_key
+`;
+
+// Grid cell size in degrees, about CLUSTER_CELL_PIXELS wide on a 256px tile map at this zoom
+const clusterCellSize = (zoom) => (360 / (256 * 2 ** zoom)) * CLUSTER_CELL_PIXELS;
+
+// Respond with a page of search results, as GeoJSON when the client asks for it
+const sendSearchPage = (req, res, page, rows) => {
+  if (wantsGeoJson(req)) {
+    return res.type(GEOJSON_CONTENT_TYPE).json(toFeatureCollection(rows, page));
+  }
+  
+  return res.json({ ...page, properties: rows });
+};
+
 /**
  * Main search endpoint with full-text search and spatial capabilities
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requireScope('search'), async (req, res) => {
   try {
     const { 
-      query,            // Text search
-      location,         // Location search (address or postal code)
-      radius = 10,      // Search radius in km (default 10km)
-      minPrice, 
-      maxPrice,
-      bedrooms,
-      bathrooms,
-      propertyType,
-      city,
-      province,
+      sort,             // Sort order, see LISTING_SORTS plus relevance and distance
+      cursor,           // next_cursor of the previous page
+      count = 'estimate', // Total count: exact, estimate or none
+      facets,           // Facet counts to include: true or a list, see FACETS
       limit = 20,
-      offset = 0
+      offset = '0'      // Only used without a cursor
     } = req.query;
     
-    // Determine if we need PostgreSQL full-text search
-    const needsTextSearch = query && query.trim().length > 0;
+    const pageOffset = parseOffset(offset);
     
-    // Determine if we need spatial search
-    const needsSpatialSearch = location && location.trim().length > 0 && radius;
+    if (pageOffset === null) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    
+    // Text, location, map area and attribute filters, see resolveSearchFilters
+    const { filters, error } = await resolveSearchFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const facetNames = parseFacets(facets);
+    
+    if (facetNames?.error) {
+      return res.status(400).json({ error: facetNames.error });
+    }
+    
+    // Private fields are only returned to privileged callers
+    const projection = getProjection(req);
+    
+    const pageSize = parsePageSize(limit);
+    const countMode = COUNT_MODES.includes(count) ? count : 'estimate';
+    
+    // Conditions for the raw SQL path, also tells where the origin parameters are
+    const rawSearch = buildSearchConditions(filters);
+    
+    // Facets are counted under the same filters as the results, whichever path runs the search
+    const searchFacets = async () => (
+      facetNames ? computeFacets(facetNames, rawSearch.conditions, rawSearch.params) : undefined
+    );
+    
+    // Text searches are ordered by relevance by default, everything else by modification time
+    const sortName = sort || (filters.text ? 'relevance' : 'modified');
+    const { sortKeys, error: sortError } = resolveSearchSort(sortName, filters, rawSearch);
+    
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+    
+    const cursorValues = cursor ? decodeCursor(cursor, sortName, sortKeys) : null;
+    
+    if (cursor && !cursorValues) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     
     // Use raw SQL for complex queries with text search and spatial functions
-    if (needsTextSearch || needsSpatialSearch) {
-      const client = await pool.connect();
+    if (needsRawSearch(filters)) {
+      const { total, estimated, rows, nextCursor } = await paginateSearch({
+        filters,
+        rawSearch,
+        projection,
+        sortName,
+        sortKeys,
+        cursorValues,
+        pageSize,
+        offset: pageOffset,
+        count: countMode
+      });
       
-      try {
-        // Build conditions and parameters
-        const conditions = [];
-        const params = [];
-        
-        // Text search condition
-        if (needsTextSearch) {
-          params.push(query);
-          conditions.push(`
-            to_tsvector('english', 
-              COALESCE(standardized_address, '') || ' ' || 
-              COALESCE(unparsed_address, '') || ' ' || 
-              COALESCE(city, '') || ' ' || 
-              COALESCE(province, '') || ' ' || 
-              COALESCE(postal_code, '') || ' ' ||
-              COALESCE(property_type, '') || ' ' ||
-              COALESCE(public_remarks, '')
-            ) @@ plainto_tsquery('english', $${params.length})
-          `);
-        }
-        
-        // Location-based search
-        if (needsSpatialSearch) {
-          // Geocode the search location
-          const { lat, lng } = await geocodeWithCache(location);
-          
-          if (lat && lng) {
-            // Add these parameters for the spatial search
-            params.push(lng);
-            params.push(lat);
-            params.push(parseFloat(radius) / 111.32); // Convert km to degrees (approx)
-            
-            conditions.push(`
-              (latitude IS NOT NULL AND longitude IS NOT NULL) AND
-              ST_DWithin(
-                ST_SetSRID(ST_MakePoint(longitude, latitude), 4326),
-                ST_SetSRID(ST_MakePoint($${params.length-2}, $${params.length-1}), 4326),
-                $${params.length}
-              )
-            `);
-          }
-        }
-        
-        // Price range
-        if (minPrice) {
-          params.push(parseFloat(minPrice));
-          conditions.push(`list_price >= $${params.length}`);
-        }
-        
-        if (maxPrice) {
-          params.push(parseFloat(maxPrice));
-          conditions.push(`list_price <= $${params.length}`);
-        }
-        
-        // Other filters
-        if (bedrooms) {
-          params.push(parseInt(bedrooms, 10));
-          conditions.push(`bedrooms_total >= $${params.length}`);
-        }
-        
-        if (bathrooms) {
-          params.push(parseInt(bathrooms, 10));
-          conditions.push(`bathrooms_total >= $${params.length}`);
-        }
-        
-        if (propertyType) {
-          params.push(propertyType);
-          conditions.push(`property_type = $${params.length}`);
-        }
-        
-        if (city) {
-          params.push(city);
-          conditions.push(`city = $${params.length}`);
-        }
-        
-        if (province) {
-          params.push(province);
-          conditions.push(`province = $${params.length}`);
-        }
-        
-        // Build the query with relevance ranking
-        const selectClause = `
-          SELECT *, 
-          CASE WHEN $1 <> '' THEN 
-            ts_rank(
-              to_tsvector('english', 
-                COALESCE(standardized_address, '') || ' ' || 
-                COALESCE(unparsed_address, '') || ' ' || 
-                COALESCE(city, '') || ' ' || 
-                COALESCE(property_type, '')
-              ), 
-              plainto_tsquery('english', $1)
-            )
-          ELSE 0 END as relevance
-        `;
-        
-        let queryStr = `${selectClause} FROM listings`;
-        
-        if (conditions.length > 0) {
-          queryStr += ' WHERE ' + conditions.join(' AND ');
-        }
-        
-        // Add ordering
-        if (needsTextSearch) {
-          queryStr += ` ORDER BY relevance DESC, modification_timestamp DESC`;
-        } else {
-          queryStr += ` ORDER BY modification_timestamp DESC`;
-        }
-        
-        // Add pagination
-        params.push(parseInt(limit, 10));
-        queryStr += ` LIMIT $${params.length}`;
-        
-        params.push(parseInt(offset, 10));
-        queryStr += ` OFFSET $${params.length}`;
-        
-        // Execute query
-        const result = await client.query(queryStr, params);
-        
-        // Count total results
-        let countQuery = 'SELECT COUNT(*) FROM listings';
-        
-        if (conditions.length > 0) {
-          countQuery += ' WHERE ' + conditions.join(' AND ');
-        }
-        
-        const countResult = await client.query(countQuery, params.slice(0, -2));
-        const totalCount = parseInt(countResult.rows[0].count, 10);
-        
-        // Format response
-        return res.json({
-          total: totalCount,
-          limit: parseInt(limit, 10),
-          offset: parseInt(offset, 10),
-          properties: result.rows
-        });
-      } finally {
-        client.release();
-      }
+      // Format response
+      return sendSearchPage(req, res, {
+        total,
+        total_estimated: estimated,
+        limit: pageSize,
+        offset: cursorValues ? null : pageOffset,
+        next_cursor: nextCursor,
+        facets: await searchFacets()
+      }, rows);
     } else {
       // Use Drizzle ORM for simpler queries
       // Build conditions array for cleaner filtering
       const conditions = [];
       
-      if (city) {
-        conditions.push(eq(listings.city, city));
+      if (filters.excludeRemoved) {
+        conditions.push(isNull(listings.removedAt));
       }
       
-      if (propertyType) {
-        conditions.push(eq(listings.propertyType, propertyType));
+      if (filters.city) {
+        conditions.push(eq(listings.city, filters.city));
       }
       
-      if (minPrice) {
-        conditions.push(gte(listings.listPrice, parseFloat(minPrice)));
+      if (filters.propertyType) {
+        conditions.push(eq(listings.propertyType, filters.propertyType));
       }
       
-      if (maxPrice) {
-        conditions.push(lte(listings.listPrice, parseFloat(maxPrice)));
+      if (filters.minPrice) {
+        conditions.push(gte(listings.listPrice, filters.minPrice));
       }
       
-      if (bedrooms) {
-        conditions.push(gte(listings.bedroomsTotal, parseInt(bedrooms, 10)));
+      if (filters.maxPrice) {
+        conditions.push(lte(listings.listPrice, filters.maxPrice));
       }
       
-      if (province) {
-        conditions.push(eq(listings.province, province));
+      if (filters.bedrooms) {
+        conditions.push(gte(listings.bedroomsTotal, filters.bedrooms));
+      }
+      
+      if (filters.bathrooms) {
+        conditions.push(gte(listings.bathroomsTotal, filters.bathrooms));
+      }
+      
+      if (filters.province) {
+        conditions.push(eq(listings.province, filters.province));
       }
       
       // Combine conditions with AND
       const whereClause = conditions.length > 0 ? and(...conditions) : undefined;
       
-      // Get count for pagination
-      const countResult = await db
-        .select({ count: sql`COUNT(*)` })
-        .from(listings)
-        .where(whereClause);
-        
-      const totalCount = parseInt(countResult[0].count.toString(), 10);
-      
-      // Get actual results
-      const result = await db
-        .select()
-        .from(listings)
-        .where(whereClause)
-        .orderBy(desc(listings.modificationTimestamp))
-        .limit(parseInt(limit, 10))
-        .offset(parseInt(offset, 10));
+      const { total, estimated, rows, nextCursor } = await paginateListings({
+        fields: listingSelectFields(projection),
+        where: whereClause,
+        sortName,
+        cursorValues,
+        pageSize,
+        offset: pageOffset,
+        count: countMode
+      });
       
       // Prepare pagination info
-      return res.json({
-        total: totalCount,
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
-        properties: result
-      });
+      return sendSearchPage(req, res, {
+        total,
+        total_estimated: estimated,
+        limit: pageSize,
+        offset: cursorValues ? null : pageOffset,
+        next_cursor: nextCursor,
+        facets: await searchFacets()
+      }, rows);
     }
   } catch (error) {
     logger.error('Search error:', error);
@@ -240,65 +206,158 @@ router.get('/search', async (req, res) => {
 });
 
 /**
- * Autocomplete suggestions for address search
+ * Map clusters for zoomed-out views: listings matching the search filters inside bbox,
+ * grouped into grid cells sized for the zoom level
  */
-router.get('/suggest', async (req, res) => {
+router.get('/search/clusters', requireScope('search'), async (req, res) => {
   try {
-    const { query } = req.query;
+    const zoom = parseInt(req.query.zoom, 10);
     
-    if (!query || query.length < 2) {
-      return res.json({ suggestions: [] });
+    if (!req.query.bbox) {
+      return res.status(400).json({ error: 'bbox is required' });
     }
     
-    const client = await pool.connect();
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+      return res.status(400).json({ error: `zoom must be an integer between 0 and ${MAX_CLUSTER_ZOOM}` });
+    }
     
-    try {
-      // Get address suggestions
-      const addressResult = await client.query(`
+    const { filters, error } = await resolveSearchFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { conditions, params } = buildSearchConditions(filters);
+    conditions.push('latitude IS NOT NULL AND longitude IS NOT NULL');
+    
+    const cellSize = clusterCellSize(zoom);
+    params.push(cellSize);
+    const cellParam = params.length;
+    
+    params.push(MAX_CLUSTERS);
+    
+    const result = await pool.query(`
+      SELECT 
+        COUNT(*)::int AS count,
+        AVG(longitude) AS lng,
+        AVG(latitude) AS lat,
+        MIN(list_price) AS min_price,
+        MAX(list_price) AS max_price,
+        MIN(longitude) AS min_lng,
+        MIN(latitude) AS min_lat,
+        MAX(longitude) AS max_lng,
+        MAX(latitude) AS max_lat,
+        CASE WHEN COUNT(*) = 1 THEN MIN(id) END AS listing_id
+      FROM listings
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ST_SnapToGrid(${LISTING_POINT_SQL}, $${cellParam})
+      ORDER BY count DESC
+      LIMIT $${params.length}
+    `, params);
+    
+    const clusters = result.rows.map(row => ({
+      count: row.count,
+      lat: row.lat,
+      lng: row.lng,
+      min_price: row.min_price === null ? null : parseFloat(row.min_price),
+      max_price: row.max_price === null ? null : parseFloat(row.max_price),
+      bounds: [row.min_lng, row.min_lat, row.max_lng, row.max_lat],
+      // Single listings can be shown as a marker straight away
+      listing_id: row.listing_id
+    }));
+    
+    return res.json({
+      zoom,
+      cell_size: cellSize,
+      total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      truncated: clusters.length === MAX_CLUSTERS,
+      clusters
+    });
+  } catch (error) {
+    logger.error('Cluster search error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Mapbox Vector Tiles of listing points, filtered like /search
+ */
+router.get('/tiles/:z/:x/:y.mvt', requireScope('search'), async (req, res) => {
+  try {
+    const z = parseInt(req.params.z, 10);
+    const x = parseInt(req.params.x, 10);
+    const y = parseInt(req.params.y, 10);
+    const tileCount = 2 ** z;
+    
+    if (!Number.isInteger(z) || z < 0 || z > MAX_CLUSTER_ZOOM ||
+        !Number.isInteger(x) || x < 0 || x >= tileCount ||
+        !Number.isInteger(y) || y < 0 || y >= tileCount) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+    
+    const { filters, error } = await resolveSearchFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { conditions, params } = buildSearchConditions(filters);
+    
+    params.push(z, x, y);
+    const tileParam = params.length - 2;
+    
+    // Only limit to the tile here, the index is on the 4326 point
+    conditions.push(`${LISTING_POINT_SQL} && ST_Transform(ST_TileEnvelope($${tileParam}, $${tileParam + 1}, $${tileParam + 2}), 4326)`);
+    
+    params.push(MAX_TILE_FEATURES);
+    
+    const result = await pool.query(`
+      WITH features AS (
         SELECT 
-          DISTINCT ON (city, postal_code, street_name)
-          city, province, postal_code, street_name, property_type,
-          COUNT(*) OVER (PARTITION BY city, province) as city_count
+          ST_AsMVTGeom(
+            ST_Transform(${LISTING_POINT_SQL}, 3857),
+            ST_TileEnvelope($${tileParam}, $${tileParam + 1}, $${tileParam + 2})
+          ) AS geom,
+          ${TILE_COLUMNS}
         FROM listings
-        WHERE 
-          standardized_address IS NOT NULL AND
-          (
-            city ILIKE $1 OR
-            street_name ILIKE $1 OR
-            postal_code ILIKE $1 OR
-            standardized_address ILIKE $1
-          )
-        ORDER BY city, postal_code, street_name, city_count DESC
-        LIMIT 10
-      `, [`%${query}%`]);
-      
-      // Format suggestions
-      const suggestions = addressResult.rows.map(row => {
-        if (row.street_name && row.city) {
-          return {
-            type: 'address',
-            text: `${row.street_name}, ${row.city}, ${row.province}`,
-            data: row
-          };
-        } else if (row.city) {
-          return {
-            type: 'city',
-            text: `${row.city}, ${row.province}`,
-            data: row
-          };
-        } else {
-          return {
-            type: 'postal',
-            text: row.postal_code,
-            data: row
-          };
-        }
-      });
-      
-      return res.json({ suggestions });
-    } finally {
-      client.release();
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY modification_timestamp DESC NULLS LAST, id
+        LIMIT $${params.length}
+      )
+      SELECT ST_AsMVT(features.*, 'listings', 4096, 'geom') AS tile
+      FROM features
+    `, params);
+    
+    const tile = result.rows[0]?.tile;
+    
+    res.set('Cache-Control', `private, max-age=${TILE_CACHE_SECONDS}`);
+    
+    if (!tile || tile.length === 0) {
+      return res.status(204).end();
     }
+    
+    return res.type('application/vnd.mapbox-vector-tile').send(tile);
+  } catch (error) {
+    logger.error('Tile error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Typo-tolerant autocomplete, grouped by type (mls, city, neighbourhood, street, address)
+ */
+router.get('/suggest', requireScope('search'), async (req, res) => {
+  try {
+    const { query, limit } = req.query;
+    
+    if (!query || query.trim().length < 2) {
+      return res.json({ suggestions: {} });
+    }
+    
+    const perType = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SUGGESTIONS_PER_TYPE, 1), MAX_SUGGESTIONS_PER_TYPE);
+    const suggestions = await getSuggestions(query, perType);
+    
+    return res.json({ suggestions });
   } catch (error) {
     logger.error('Suggestion error:', error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -308,7 +367,7 @@ router.get('/suggest', async (req, res) => {
 /**
  * Get property filters (for building search UI)
  */
-router.get('/filters', async (req, res) => {
+router.get('/filters', requireScope('search'), async (req, res) => {
   try {
     const client = await pool.connect();
     
@@ -317,7 +376,7 @@ router.get('/filters', async (req, res) => {
       const propertyTypesResult = await client.query(`
         SELECT DISTINCT property_type
         FROM listings
-        WHERE property_type IS NOT NULL
+        WHERE property_type IS NOT NULL AND removed_at IS NULL
         ORDER BY property_type
       `);
       
@@ -325,7 +384,7 @@ router.get('/filters', async (req, res) => {
       const citiesResult = await client.query(`
         SELECT DISTINCT city, province, COUNT(*) as count
         FROM listings
-        WHERE city IS NOT NULL
+        WHERE city IS NOT NULL AND removed_at IS NULL
         GROUP BY city, province
         ORDER BY count DESC, city
         LIMIT 50
@@ -339,7 +398,7 @@ router.get('/filters', async (req, res) => {
           percentile_cont(0.25) WITHIN GROUP (ORDER BY list_price) as lower_quartile,
           percentile_cont(0.75) WITHIN GROUP (ORDER BY list_price) as upper_quartile
         FROM listings
-        WHERE list_price > 0
+        WHERE list_price > 0 AND removed_at IS NULL
       `);
       
       return res.json({
@@ -360,4 +419,37 @@ router.get('/filters', async (req, res) => {
   }
 });
 
+/**
+ * Price and status timeline for a listing
+ */
+router.get('/listings/:id/history', requireScope('full'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { field, limit = '50', offset = '0' } = req.query;
+    
+    if (!QUERY_INTEGER_PATTERN.test(limit) || !QUERY_INTEGER_PATTERN.test(offset)) {
+      return res.status(400).json({ error: 'limit and offset must be non-negative integers' });
+    }
+    
+    const pageLimit = Math.min(Math.max(parseInt(limit, 10), 1), MAX_HISTORY_LIMIT);
+    const pageOffset = parseInt(offset, 10);
+    
+    if (!(await isListingInDatabase(id))) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    
+    const history = await getListingHistory(id, { field, limit: pageLimit, offset: pageOffset });
+    
+    return res.json({
+      listing_id: id,
+      limit: pageLimit,
+      offset: pageOffset,
+      history
+    });
+  } catch (error) {
+    logger.error(`Error getting history for listing ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { pool } from '../db/index.js';
+
+// Suggestions returned per type
+export const DEFAULT_SUGGESTIONS_PER_TYPE = 5;
+export const MAX_SUGGESTIONS_PER_TYPE = 20;
+
+// Queries that could be the start of an MLS number: an optional board letter followed by digits
+const MLS_PREFIX_PATTERN = /^[A-Za-z]?\d{3,}$/;
+
+// Fuzzy match on a name column: % catches typos ("Torotno"), <% catches prefixes ("Toro")
+const fuzzyMatchSql = (column) => `(${column} % $1 OR $1 <% ${column})`;
+const fuzzyScoreSql = (column) => `GREATEST(similarity(${column}, $1), word_similarity($1, ${column}))`;
+
+// Suggestion types, each grouped so repeated values come back once with a listing count.
+// MLS numbers come first since a pasted number is the most specific query.
+// $1 is the query and $2 the number of suggestions per type.
+const SUGGESTION_TYPES = {
+  // MLS numbers (or ListingKeys) are matched by prefix with the exact match first,
+  // typos in them are not worth correcting
+  mls: {
+    sql: `
+      SELECT mls_number, id AS listing_id, unparsed_address, city,
+        CASE WHEN mls_number ILIKE $1 OR id ILIKE $1 THEN 1 ELSE 0.5 END AS score, 1 AS count
+      FROM listings
+      WHERE removed_at IS NULL AND (mls_number ILIKE $1 || '%' OR id ILIKE $1 || '%')
+      ORDER BY score DESC, mls_number
+      LIMIT $2
+    `,
+    text: row => row.mls_number || row.listing_id,
+    applies: query => MLS_PREFIX_PATTERN.test(query)
+  },
+  city: {
+    sql: `
+      SELECT city, province, ${fuzzyScoreSql('city')} AS score, COUNT(*)::int AS count
+      FROM listings
+      WHERE removed_at IS NULL AND ${fuzzyMatchSql('city')}
+      GROUP BY city, province
+      ORDER BY score DESC, count DESC
+      LIMIT $2
+    `,
+    text: row => [row.city, row.province].filter(Boolean).join(', ')
+  },
+  neighbourhood: {
+    sql: `
+      SELECT neighbourhood, city, ${fuzzyScoreSql('neighbourhood')} AS score, COUNT(*)::int AS count
+      FROM listings
+      WHERE removed_at IS NULL AND ${fuzzyMatchSql('neighbourhood')}
+      GROUP BY neighbourhood, city
+      ORDER BY score DESC, count DESC
+      LIMIT $2
+    `,
+    text: row => [row.neighbourhood, row.city].filter(Boolean).join(', ')
+  },
+  street: {
+    sql: `
+      SELECT street_name, street_suffix, city, ${fuzzyScoreSql('street_name')} AS score, COUNT(*)::int AS count
+      FROM listings
+      WHERE removed_at IS NULL AND ${fuzzyMatchSql('street_name')}
+      GROUP BY street_name, street_suffix, city
+      ORDER BY score DESC, count DESC
+      LIMIT $2
+    `,
+    text: row => [[row.street_name, row.street_suffix].filter(Boolean).join(' '), row.city].filter(Boolean).join(', ')
+  },
+  // Full addresses are long, so only word similarity gives typed fragments a useful score.
+  // Several listings share an address when they are units in one building.
+  address: {
+    sql: `
+      SELECT unparsed_address, word_similarity($1, unparsed_address) AS score, COUNT(*)::int AS count,
+        CASE WHEN COUNT(*) = 1 THEN MIN(id) END AS listing_id
+      FROM listings
+      WHERE removed_at IS NULL AND $1 <% unparsed_address
+      GROUP BY unparsed_address
+      ORDER BY score DESC, count DESC
+      LIMIT $2
+    `,
+    text: row => row.unparsed_address
+  }
+};
+
+export const SUGGESTION_TYPE_NAMES = Object.keys(SUGGESTION_TYPES);
+
+// Fuzzy autocomplete suggestions grouped by type, best matches first within each type
+export const getSuggestions = async (query, perType = DEFAULT_SUGGESTIONS_PER_TYPE) => {
+  const text = query.trim();
+
+  const groups = await Promise.all(SUGGESTION_TYPE_NAMES.map(async (type) => {
+    const definition = SUGGESTION_TYPES[type];
+
+    if (definition.applies && !definition.applies(text)) {
+      return [type, []];
+    }
+
+    const result = await pool.query(definition.sql, [text, perType]);
+
+    return [type, result.rows.map(({ score, ...row }) => ({
+      text: definition.text(row),
+      score: parseFloat(score),
+      ...row
+    }))];
+  }));
+
+  return Object.fromEntries(groups);
+};
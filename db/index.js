@@ -146,33 +146,7 @@ export const updateReplicationState = async (resourceName, lastTimestamp, lastKe
   const client = await pool.connect();
   
   try {
-    // Get current records processed count if it exists
-    const currentState = await client.query(
-      'SELECT records_processed FROM replication_state WHERE resource_name = $1',
-      [resourceName]
-    );
-    
-    let totalRecordsProcessed = recordsProcessed;
-    
-    // If we have a current count, add to it rather than replacing it
-    if (currentState.rows.length > 0 && currentState.rows[0].records_processed) {
-      const currentCount = parseInt(currentState.rows[0].records_processed, 10) || 0;
-      // Only add the new records to the total if recordsProcessed is provided
-      if (recordsProcessed > 0) {
-        totalRecordsProcessed = currentCount + recordsProcessed;
-      } else {
-        totalRecordsProcessed = currentCount;
-      }
-    }
-    
-    await client.query(
-      `UPDATE replication_state 
-       SET last_timestamp = $1, last_key = $2, records_processed = $3, last_run_at = NOW() 
-       WHERE resource_name = $4`,
-      [lastTimestamp, lastKey, totalRecordsProcessed, resourceName]
-    );
-    
-    logger.debug(`Updated replication state: [${resourceName}] timestamp=${lastTimestamp}, key=${lastKey}, count=${totalRecordsProcessed}`);
+    await writeReplicationState(client, resourceName, lastTimestamp, lastKey, recordsProcessed);
   } catch (error) {
     logger.error('Failed to update replication state:', error);
     throw error;
@@ -181,6 +155,159 @@ export const updateReplicationState = async (resourceName, lastTimestamp, lastKe
   }
 };
 
+// Write replication state using the caller's client, so it can share a transaction with the data
+const writeReplicationState = async (client, resourceName, lastTimestamp, lastKey, recordsProcessed = 0) => {
+  // Get current records processed count if it exists
+  const currentState = await client.query(
+    'SELECT records_processed FROM replication_state WHERE resource_name = $1',
+    [resourceName]
+  );
+  
+  let totalRecordsProcessed = recordsProcessed;
+  
+  // If we have a current count, add to it rather than replacing it
+  if (currentState.rows.length > 0 && currentState.rows[0].records_processed) {
+    const currentCount = parseInt(currentState.rows[0].records_processed, 10) || 0;
+    // Only add the new records to the total if recordsProcessed is provided
+    if (recordsProcessed > 0) {
+      totalRecordsProcessed = currentCount + recordsProcessed;
+    } else {
+      totalRecordsProcessed = currentCount;
+    }
+  }
+  
+  await client.query(
+    `UPDATE replication_state 
+     SET last_timestamp = $1, last_key = $2, records_processed = $3, last_run_at = NOW() 
+     WHERE resource_name = $4`,
+    [lastTimestamp, lastKey, totalRecordsProcessed, resourceName]
+  );
+  
+  logger.debug(`Updated replication state: [${resourceName}] timestamp=${lastTimestamp}, key=${lastKey}, count=${totalRecordsProcessed}`);
+};
+
+// Listing columns maintained by the media phase, property updates must not reset them
+const MEDIA_MANAGED_FIELDS = new Set(['media_keys', 'preferred_media_key']);
+
+// AMPRE fields that change on every update and carry no history of their own
+const HISTORY_IGNORED_FIELDS = new Set(['ModificationTimestamp']);
+
+// Fields captured as the starting point of a listing's timeline
+const HISTORY_SNAPSHOT_FIELDS = ['ListPrice', 'StandardStatus', 'MlsStatus', 'ContractStatus'];
+
+// Compare two raw JSON values regardless of object key order
+const isSameRawValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  
+  return keysA.every(key => isSameRawValue(a[key], b[key]));
+};
+
+// Build a listing_history entry from the previous and new raw payloads
+const buildHistoryEntry = (previousRaw, listing) => {
+  const nextRaw = listing.raw || {};
+  
+  // New listing: record the starting price and status
+  if (!previousRaw) {
+    const newValues = {};
+    for (const field of HISTORY_SNAPSHOT_FIELDS) {
+      if (nextRaw[field] !== undefined) {
+        newValues[field] = nextRaw[field];
+      }
+    }
+    
+    return {
+      listing_id: listing.id,
+      change_type: 'created',
+      changed_fields: Object.keys(newValues),
+      old_values: null,
+      new_values: newValues,
+      modification_timestamp: listing.modification_timestamp
+    };
+  }
+  
+  const changedFields = [];
+  const oldValues = {};
+  const newValues = {};
+  const fields = new Set([...Object.keys(previousRaw), ...Object.keys(nextRaw)]);
+  
+  for (const field of fields) {
+    if (HISTORY_IGNORED_FIELDS.has(field)) continue;
+    
+    const oldValue = previousRaw[field] === undefined ? null : previousRaw[field];
+    const newValue = nextRaw[field] === undefined ? null : nextRaw[field];
+    
+    if (!isSameRawValue(oldValue, newValue)) {
+      changedFields.push(field);
+      oldValues[field] = oldValue;
+      newValues[field] = newValue;
+    }
+  }
+  
+  // Re-replicated record with no real changes
+  if (changedFields.length === 0) {
+    return null;
+  }
+  
+  return {
+    listing_id: listing.id,
+    change_type: 'updated',
+    changed_fields: changedFields.sort(),
+    old_values: oldValues,
+    new_values: newValues,
+    modification_timestamp: listing.modification_timestamp
+  };
+};
+
+// History entries for listings leaving and re-entering the AMPRE feed
+const buildRestoredEntry = (listing) => ({
+  listing_id: listing.id,
+  change_type: 'restored',
+  changed_fields: [],
+  old_values: null,
+  new_values: null,
+  modification_timestamp: listing.modification_timestamp
+});
+
+// Rows per multi-row history insert, keeps us well under the 65535 parameter limit
+const HISTORY_INSERT_CHUNK_SIZE = 1000;
+
+// Insert history entries using the caller's transaction
+const insertListingHistory = async (client, entries) => {
+  for (let i = 0; i < entries.length; i += HISTORY_INSERT_CHUNK_SIZE) {
+    await insertListingHistoryChunk(client, entries.slice(i, i + HISTORY_INSERT_CHUNK_SIZE));
+  }
+};
+
+const insertListingHistoryChunk = async (client, entries) => {
+  if (entries.length === 0) return;
+  
+  const values = [];
+  const rows = entries.map((entry, i) => {
+    const offset = i * 6;
+    values.push(
+      entry.listing_id,
+      entry.change_type,
+      entry.changed_fields,
+      entry.old_values ? JSON.stringify(entry.old_values) : null,
+      entry.new_values ? JSON.stringify(entry.new_values) : null,
+      entry.modification_timestamp
+    );
+    return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+  });
+  
+  await client.query(`
+    INSERT INTO listing_history 
+      (listing_id, change_type, changed_fields, old_values, new_values, modification_timestamp)
+    VALUES ${rows.join(', ')}
+  `, values);
+};
+
 // Insert or update listing with optimized query
 export const upsertListing = async (listing) => {
   const client = await pool.connect();
@@ -188,6 +315,12 @@ export const upsertListing = async (listing) => {
   try {
     await client.query('BEGIN');
     
+    // Lock the current version so the history diff matches what we overwrite
+    const previous = await client.query(
+      'SELECT raw, removed_at FROM listings WHERE id = $1 FOR UPDATE',
+      [listing.id]
+    );
+    
     // Extract fields and values for dynamic query building
     const fields = Object.keys(listing).filter(key => key !== 'raw');
     const values = fields.map(field => listing[field]);
@@ -200,6 +333,7 @@ export const upsertListing = async (listing) => {
     const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
     const updateAssignments = fields
       .map((field, i) => `${field} = $${i + 1}`)
+      .filter((_, i) => !MEDIA_MANAGED_FIELDS.has(fields[i]))
       .join(', ');
     const insertFields = fields.join(', ');
     
@@ -210,10 +344,29 @@ export const upsertListing = async (listing) => {
       ON CONFLICT (id) 
       DO UPDATE SET 
         ${updateAssignments},
+        removed_at = NULL,
         updated_at = NOW()
     `;
     
     await client.query(query, values);
+    
+    // Record what changed in this version
+    const historyEntries = [];
+    const previousRow = previous.rows[0];
+    
+    // Listing is back in the AMPRE feed after being reconciled away
+    if (previousRow && previousRow.removed_at) {
+      historyEntries.push(buildRestoredEntry(listing));
+    }
+    
+    const historyEntry = buildHistoryEntry(previousRow ? previousRow.raw || {} : null, listing);
+    if (historyEntry) {
+      historyEntries.push(historyEntry);
+    }
+    
+    await insertListingHistory(client, historyEntries);
+    await resolveReplicationFailures(client, [listing.id]);
+    
     await client.query('COMMIT');
     
   } catch (error) {
@@ -225,6 +378,203 @@ export const upsertListing = async (listing) => {
   }
 };
 
+// Mark dead-lettered listings as resolved once they have been written
+const resolveReplicationFailures = async (client, listingKeys) => {
+  await client.query(`
+    UPDATE replication_failures
+    SET resolved_at = NOW()
+    WHERE listing_key = ANY($1) AND resolved_at IS NULL
+  `, [listingKeys]);
+};
+
+// Record a listing that failed to replicate so it is not silently skipped
+export const recordReplicationFailure = async (listingKey, modificationTimestamp, error) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      INSERT INTO replication_failures (listing_key, modification_timestamp, error_message)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (listing_key)
+      DO UPDATE SET
+        modification_timestamp = COALESCE(EXCLUDED.modification_timestamp, replication_failures.modification_timestamp),
+        error_message = EXCLUDED.error_message,
+        attempts = replication_failures.attempts + 1,
+        last_failed_at = NOW(),
+        resolved_at = NULL
+    `, [
+      listingKey,
+      modificationTimestamp ? new Date(modificationTimestamp) : null,
+      error && error.message ? error.message : String(error)
+    ]);
+  } catch (dbError) {
+    logger.error(`Failed to record replication failure for ${listingKey}:`, dbError);
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+// Mark a dead-lettered listing as resolved without writing it, e.g. gone upstream
+export const resolveReplicationFailure = async (listingKey, note) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE replication_failures
+      SET resolved_at = NOW(), error_message = COALESCE($2, error_message)
+      WHERE listing_key = $1
+    `, [listingKey, note || null]);
+  } catch (error) {
+    logger.error(`Failed to resolve replication failure for ${listingKey}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get unresolved dead-lettered listings, oldest failures first
+export const getReplicationFailures = async ({ limit = 500 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT listing_key, modification_timestamp, error_message, attempts, first_failed_at, last_failed_at
+      FROM replication_failures
+      WHERE resolved_at IS NULL
+      ORDER BY last_failed_at
+      LIMIT $1
+    `, [parseInt(limit, 10)]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get replication failures:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Postgres caps a single statement at 65535 bind parameters
+const MAX_QUERY_PARAMETERS = 65535;
+
+// Insert or update a whole page of listings in one transaction.
+// When a checkpoint is given, replication state advances in the same transaction,
+// so the stored checkpoint can never get ahead of the data.
+export const upsertListingsBatch = async (listingRows, checkpoint = null) => {
+  // Keep the last version of each listing, the page is ordered by ModificationTimestamp
+  const listingsById = new Map();
+  for (const listing of listingRows) {
+    listingsById.set(listing.id, listing);
+  }
+  const rows = [...listingsById.values()];
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    if (rows.length > 0) {
+      // Lock the current versions so the history diffs match what we overwrite
+      const previous = await client.query(
+        'SELECT id, raw, removed_at FROM listings WHERE id = ANY($1) FOR UPDATE',
+        [rows.map(row => row.id)]
+      );
+      const previousById = new Map(previous.rows.map(row => [row.id, row]));
+      
+      // Every mapped listing has the same shape, raw goes last as JSON
+      const fields = Object.keys(rows[0]).filter(key => key !== 'raw');
+      fields.push('raw');
+      
+      const updateAssignments = fields
+        .filter(field => field !== 'id' && !MEDIA_MANAGED_FIELDS.has(field))
+        .map(field => `${field} = EXCLUDED.${field}`)
+        .join(', ');
+      
+      // Split into multi-row statements that stay under the parameter limit
+      const rowsPerStatement = Math.floor(MAX_QUERY_PARAMETERS / fields.length);
+      
+      for (let i = 0; i < rows.length; i += rowsPerStatement) {
+        const statementRows = rows.slice(i, i + rowsPerStatement);
+        const values = [];
+        
+        const placeholders = statementRows.map((listing, rowIndex) => {
+          const offset = rowIndex * fields.length;
+          
+          for (const field of fields) {
+            if (field === 'raw') {
+              values.push(JSON.stringify(listing.raw));
+            } else {
+              values.push(listing[field] === undefined ? null : listing[field]);
+            }
+          }
+          
+          return `(${fields.map((_, fieldIndex) => `$${offset + fieldIndex + 1}`).join(', ')})`;
+        });
+        
+        await client.query(`
+          INSERT INTO listings (${fields.join(', ')})
+          VALUES ${placeholders.join(', ')}
+          ON CONFLICT (id) 
+          DO UPDATE SET 
+            ${updateAssignments},
+            removed_at = NULL,
+            updated_at = NOW()
+        `, values);
+      }
+      
+      // Record what changed in each version
+      const historyEntries = [];
+      
+      for (const listing of rows) {
+        const previousRow = previousById.get(listing.id);
+        
+        if (previousRow && previousRow.removed_at) {
+          historyEntries.push(buildRestoredEntry(listing));
+        }
+        
+        const historyEntry = buildHistoryEntry(previousRow ? previousRow.raw || {} : null, listing);
+        if (historyEntry) {
+          historyEntries.push(historyEntry);
+        }
+      }
+      
+      await insertListingHistory(client, historyEntries);
+      await resolveReplicationFailures(client, rows.map(row => row.id));
+    }
+    
+    if (checkpoint) {
+      await writeReplicationState(
+        client,
+        checkpoint.resourceName,
+        checkpoint.lastTimestamp,
+        checkpoint.lastKey,
+        checkpoint.recordsProcessed !== undefined ? checkpoint.recordsProcessed : rows.length
+      );
+    }
+    
+    await client.query('COMMIT');
+    
+    return { written: rows.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to upsert batch of ${rows.length} listings:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Upsert assignment giving media a fresh set of mirror attempts when upstream changes its URL or
+// timestamp, so an item that used up MEDIA_MIRROR_MAX_ATTEMPTS is retried with the new version
+const RESET_MIRROR_ATTEMPTS_SQL = `
+  mirror_attempts = CASE
+    WHEN listing_media.media_url IS DISTINCT FROM EXCLUDED.media_url
+      OR listing_media.modification_timestamp IS DISTINCT FROM EXCLUDED.modification_timestamp
+    THEN 0
+    ELSE listing_media.mirror_attempts
+  END`;
+
 // Insert or update media with optimized query
 export const upsertMedia = async (media) => {
   const client = await pool.connect();
@@ -251,6 +601,7 @@ export const upsertMedia = async (media) => {
       ON CONFLICT (media_key) 
       DO UPDATE SET 
         ${updateAssignments},
+        ${RESET_MIRROR_ATTEMPTS_SQL},
         updated_at = NOW()
     `;
     
@@ -266,120 +617,1335 @@ export const upsertMedia = async (media) => {
   }
 };
 
-// Query listings with improved filtering
-export const queryListings = async ({ 
-  city, propertyType, minPrice, maxPrice, minBedrooms, limit = 20, offset = 0
-}) => {
-  const client = await pool.connect();
+// Rebuild media_keys and preferred_media_key from listing_media for the given listings.
+// Media flagged as deleted is left out; listings with nothing left get an empty set.
+const rebuildListingMediaKeys = async (client, listingIds) => {
+  if (listingIds.length === 0) return;
   
-  try {
-    // Build query conditions and parameters
-    const conditions = [];
-    const params = [];
-    
-    if (city) {
-      params.push(city);
-      conditions.push(`city = $${params.length}`);
-    }
-    
-    if (propertyType) {
-      params.push(propertyType);
-      conditions.push(`property_type = $${params.length}`);
-    }
-    
-    if (minPrice) {
-      params.push(parseFloat(minPrice));
-      conditions.push(`list_price >= $${params.length}`);
-    }
-    
-    if (maxPrice) {
-      params.push(parseFloat(maxPrice));
-      conditions.push(`list_price <= $${params.length}`);
-    }
-    
-    if (minBedrooms) {
-      params.push(parseInt(minBedrooms, 10));
-      conditions.push(`bedrooms_total >= $${params.length}`);
-    }
-    
-    // Build the query
-    let query = 'SELECT * FROM listings';
+  await client.query(`
+    UPDATE listings l
+    SET media_keys = COALESCE(m.media_keys, '{}'),
+        preferred_media_key = COALESCE(m.preferred_keys[1], m.media_keys[1]),
+        updated_at = NOW()
+    FROM unnest($1::text[]) AS t(listing_id)
+    LEFT JOIN (
+      SELECT 
+        listing_id,
+        array_agg(media_key ORDER BY display_order NULLS LAST, media_key) AS media_keys,
+        array_agg(media_key ORDER BY display_order NULLS LAST, media_key) FILTER (WHERE is_preferred) AS preferred_keys
+      FROM listing_media
+      WHERE listing_id = ANY($1) AND media_status IS DISTINCT FROM 'Deleted'
+      GROUP BY listing_id
+    ) m ON m.listing_id = t.listing_id
+    WHERE l.id = t.listing_id
+  `, [listingIds]);
+};
+
+// Multi-row media upsert using the caller's transaction
+const insertMediaRows = async (client, rows) => {
+  if (rows.length === 0) return;
+  
+  const fields = Object.keys(rows[0]);
+  const updateAssignments = fields
+    .filter(field => field !== 'media_key') // Exclude primary key from updates
+    .map(field => `${field} = EXCLUDED.${field}`)
+    .join(', ');
+  
+  // Split into multi-row statements that stay under the parameter limit
+  const rowsPerStatement = Math.floor(MAX_QUERY_PARAMETERS / fields.length);
+  
+  for (let i = 0; i < rows.length; i += rowsPerStatement) {
+    const statementRows = rows.slice(i, i + rowsPerStatement);
+    const values = [];
     
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    const placeholders = statementRows.map((media, rowIndex) => {
+      const offset = rowIndex * fields.length;
+      values.push(...fields.map(field => (media[field] === undefined ? null : media[field])));
+      return `(${fields.map((_, fieldIndex) => `$${offset + fieldIndex + 1}`).join(', ')})`;
+    });
     
-    // Add limiting and sorting
-    params.push(parseInt(limit, 10));
-    query += ` ORDER BY modification_timestamp DESC LIMIT $${params.length}`;
+    await client.query(`
+      INSERT INTO listing_media (${fields.join(', ')})
+      VALUES ${placeholders.join(', ')}
+      ON CONFLICT (media_key) 
+      DO UPDATE SET 
+        ${updateAssignments},
+        ${RESET_MIRROR_ATTEMPTS_SQL},
+        updated_at = NOW()
+    `, values);
+  }
+};
+
+// Dead-letter media whose listing is not in the database yet, keeping the latest version of each item
+const recordMediaReplicationFailures = async (client, rows, reason) => {
+  if (rows.length === 0) return;
+  
+  await client.query(`
+    INSERT INTO media_replication_failures (media_key, listing_id, media, error_message)
+    SELECT * FROM unnest($1::text[], $2::text[], $3::jsonb[], $4::text[])
+    ON CONFLICT (media_key)
+    DO UPDATE SET
+      listing_id = EXCLUDED.listing_id,
+      media = EXCLUDED.media,
+      error_message = EXCLUDED.error_message,
+      attempts = media_replication_failures.attempts + 1,
+      last_failed_at = NOW(),
+      resolved_at = NULL
+  `, [
+    rows.map(media => media.media_key),
+    rows.map(media => media.listing_id),
+    // Keep undefined fields as null so every stored row has the same columns for insertMediaRows
+    rows.map(media => JSON.stringify(media, (key, value) => (value === undefined ? null : value))),
+    rows.map(() => reason)
+  ]);
+};
+
+// Mark dead-lettered media as resolved once it has been written
+const resolveMediaReplicationFailures = async (client, mediaKeys) => {
+  if (mediaKeys.length === 0) return;
+  
+  await client.query(`
+    UPDATE media_replication_failures
+    SET resolved_at = NOW()
+    WHERE media_key = ANY($1) AND resolved_at IS NULL
+  `, [mediaKeys]);
+};
+
+// Insert or update a page of media in one transaction, then refresh the listings it touched.
+// Media for listings we do not have yet is dead-lettered in media_replication_failures and
+// written by replayMediaReplicationFailures later. When a checkpoint is given,
+// replication state advances in the same transaction as the data.
+export const upsertMediaBatch = async (mediaRows, checkpoint = null) => {
+  // Keep the last version of each media record within the page
+  const mediaByKey = new Map();
+  for (const media of mediaRows) {
+    mediaByKey.set(media.media_key, media);
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
     
-    params.push(parseInt(offset, 10));
-    query += ` OFFSET $${params.length}`;
+    // Only keep media whose listing exists, listing_media has a foreign key
+    const listingIds = [...new Set([...mediaByKey.values()].map(media => media.listing_id))];
+    const existing = await client.query(
+      'SELECT id FROM listings WHERE id = ANY($1)',
+      [listingIds]
+    );
+    const existingIds = new Set(existing.rows.map(row => row.id));
+    const rows = [...mediaByKey.values()].filter(media => existingIds.has(media.listing_id));
+    const skippedRows = [...mediaByKey.values()].filter(media => !existingIds.has(media.listing_id));
     
-    // Execute query
-    const result = await client.query(query, params);
+    await insertMediaRows(client, rows);
+    await resolveMediaReplicationFailures(client, rows.map(media => media.media_key));
+    await recordMediaReplicationFailures(client, skippedRows, 'Listing not in database');
     
-    // Count total results
-    let countQuery = 'SELECT COUNT(*) FROM listings';
+    const touchedListingIds = [...new Set(rows.map(media => media.listing_id))];
+    await rebuildListingMediaKeys(client, touchedListingIds);
     
-    if (conditions.length > 0) {
-      countQuery += ' WHERE ' + conditions.join(' AND ');
+    if (checkpoint) {
+      await writeReplicationState(
+        client,
+        checkpoint.resourceName,
+        checkpoint.lastTimestamp,
+        checkpoint.lastKey,
+        checkpoint.recordsProcessed !== undefined ? checkpoint.recordsProcessed : rows.length
+      );
     }
     
-    const countResult = await client.query(countQuery, params.slice(0, -2));
+    await client.query('COMMIT');
     
     return {
-      total: parseInt(countResult.rows[0].count, 10),
-      limit: parseInt(limit, 10),
-      offset: parseInt(offset, 10),
-      listings: result.rows
+      written: rows.length,
+      skipped: mediaByKey.size - rows.length,
+      listingIds: touchedListingIds
     };
   } catch (error) {
-    logger.error('Failed to query listings:', error);
+    await client.query('ROLLBACK');
+    logger.error(`Failed to upsert batch of ${mediaByKey.size} media items:`, error);
     throw error;
   } finally {
     client.release();
   }
 };
 
-// Get database statistics for monitoring
-export const getStats = async () => {
+// Write dead-lettered media whose listing has arrived since, oldest failures first.
+// Returns the number of media items written and the listings they belong to.
+export const replayMediaReplicationFailures = async ({ limit = 5000 } = {}) => {
   const client = await pool.connect();
   
   try {
+    await client.query('BEGIN');
+    
     const result = await client.query(`
-      SELECT 
-        COUNT(*) as total_listings,
-        MIN(modification_timestamp) as oldest_listing,
-        MAX(modification_timestamp) as newest_listing,
-        COUNT(CASE WHEN media_keys IS NOT NULL AND array_length(media_keys, 1) > 0 THEN 1 END) as listings_with_media,
-        COUNT(DISTINCT city) as unique_cities,
-        COUNT(DISTINCT property_type) as unique_property_types
-      FROM listings
-    `);
+      SELECT f.media
+      FROM media_replication_failures f
+      JOIN listings l ON l.id = f.listing_id
+      WHERE f.resolved_at IS NULL
+      ORDER BY f.last_failed_at
+      LIMIT $1
+      FOR UPDATE OF f SKIP LOCKED
+    `, [parseInt(limit, 10)]);
     
-    return result.rows[0];
+    const rows = result.rows.map(row => row.media);
+    
+    await insertMediaRows(client, rows);
+    await resolveMediaReplicationFailures(client, rows.map(media => media.media_key));
+    
+    const listingIds = [...new Set(rows.map(media => media.listing_id))];
+    await rebuildListingMediaKeys(client, listingIds);
+    
+    await client.query('COMMIT');
+    
+    return { written: rows.length, listingIds };
   } catch (error) {
-    logger.error('Failed to get database statistics:', error);
+    await client.query('ROLLBACK');
+    logger.error('Failed to replay dead-lettered media:', error);
     throw error;
   } finally {
     client.release();
   }
 };
 
-// Check if a listing exists in the database
-export const isListingInDatabase = async (listingId) => {
+// Replace a listing's media with the full set returned upstream: upsert what came back,
+// flag everything else as deleted and refresh media_keys in display order.
+// mediaChangeTimestamp is the listing's media_change_timestamp this set was fetched for.
+export const reconcileListingMedia = async (listingId, mediaRows, mediaChangeTimestamp = null) => {
   const client = await pool.connect();
   
   try {
-    const result = await client.query(
-      'SELECT 1 FROM listings WHERE id = $1 LIMIT 1',
+    await client.query('BEGIN');
+    
+    // The listing may have been removed since we fetched its media
+    const listing = await client.query(
+      'SELECT id FROM listings WHERE id = $1 FOR UPDATE',
       [listingId]
     );
     
-    return result.rows.length > 0;
+    if (listing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Cannot store media for listing ${listingId} as the listing does not exist in database`);
+      return { written: 0, deleted: 0 };
+    }
+    
+    await insertMediaRows(client, mediaRows);
+    
+    // Photos the agent removed upstream are no longer returned
+    const deleted = await client.query(`
+      UPDATE listing_media
+      SET media_status = 'Deleted'
+      WHERE listing_id = $1 
+        AND NOT (media_key = ANY($2))
+        AND media_status IS DISTINCT FROM 'Deleted'
+    `, [listingId, mediaRows.map(media => media.media_key)]);
+    
+    await rebuildListingMediaKeys(client, [listingId]);
+    
+    await client.query(
+      'UPDATE listings SET media_reconciled_at = $1 WHERE id = $2',
+      [mediaChangeTimestamp, listingId]
+    );
+    
+    await client.query('COMMIT');
+    
+    return { written: mediaRows.length, deleted: deleted.rowCount };
   } catch (error) {
-    logger.error(`Failed to check if listing ${listingId} exists:`, error);
+    await client.query('ROLLBACK');
+    logger.error(`Failed to reconcile media for listing ${listingId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get media_change_timestamp for a set of listings, keyed by listing id
+export const getMediaChangeTimestamps = async (listingIds) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT id, media_change_timestamp FROM listings WHERE id = ANY($1)',
+      [listingIds]
+    );
+    
+    return Object.fromEntries(result.rows.map(row => [row.id, row.media_change_timestamp]));
+  } catch (error) {
+    logger.error('Failed to get media change timestamps:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get photos that have not been mirrored yet or changed upstream since they were.
+// Media that keeps failing is skipped once it reaches maxAttempts.
+export const getMediaToMirror = async ({ limit = 100, maxAttempts = 5 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT media_key, listing_id, media_url, media_type, content_hash, local_path, variants
+      FROM listing_media
+      WHERE media_url IS NOT NULL
+        AND media_status IS DISTINCT FROM 'Deleted'
+        AND COALESCE(media_category, 'Photo') = 'Photo'
+        AND (mirrored_at IS NULL OR mirrored_at < modification_timestamp)
+        AND COALESCE(mirror_attempts, 0) < $2
+      ORDER BY mirrored_at NULLS FIRST, modification_timestamp DESC NULLS LAST
+      LIMIT $1
+    `, [limit, maxAttempts]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get media to mirror:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record a successful mirror of a media item
+export const markMediaMirrored = async (mediaKey, { localPath, contentHash, variants }) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE listing_media
+      SET local_path = $2,
+          content_hash = $3,
+          variants = $4,
+          -- Never behind the row's own timestamp, or it would be picked up again
+          mirrored_at = GREATEST(NOW()::timestamp, modification_timestamp),
+          mirror_attempts = 0,
+          mirror_error = NULL
+      WHERE media_key = $1
+    `, [mediaKey, localPath, contentHash, JSON.stringify(variants)]);
+  } catch (error) {
+    logger.error(`Failed to mark media ${mediaKey} as mirrored:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record a failed mirror attempt, the worker retries until it reaches its attempt limit
+export const markMediaMirrorFailed = async (mediaKey, error) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE listing_media
+      SET mirror_attempts = COALESCE(mirror_attempts, 0) + 1,
+          mirror_error = $2
+      WHERE media_key = $1
+    `, [mediaKey, error?.message || String(error)]);
+  } catch (dbError) {
+    logger.error(`Failed to record mirror failure for media ${mediaKey}:`, dbError);
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+// Get deleted media that still has a local mirror to clean up
+export const getDeletedMirroredMedia = async ({ limit = 100 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT media_key, listing_id, local_path, variants
+      FROM listing_media
+      WHERE media_status = 'Deleted'
+        AND local_path IS NOT NULL
+      LIMIT $1
+    `, [limit]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get deleted mirrored media:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Forget the local mirror of a media item once its files are removed
+export const clearMediaMirror = async (mediaKey) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE listing_media
+      SET local_path = NULL,
+          content_hash = NULL,
+          variants = NULL,
+          mirrored_at = NULL
+      WHERE media_key = $1
+    `, [mediaKey]);
+  } catch (error) {
+    logger.error(`Failed to clear mirror for media ${mediaKey}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Query listings with improved filtering
+export const queryListings = async ({ 
+  city, propertyType, minPrice, maxPrice, minBedrooms, includeRemoved = false, limit = 20, offset = 0
+}) => {
+  const client = await pool.connect();
+  
+  try {
+    // Build query conditions and parameters
+    const conditions = [];
+    const params = [];
+    
+    // Listings removed upstream are hidden unless explicitly requested
+    if (!includeRemoved) {
+      conditions.push('removed_at IS NULL');
+    }
+    
+    if (city) {
+      params.push(city);
+      conditions.push(`city = $${params.length}`);
+    }
+    
+    if (propertyType) {
+      params.push(propertyType);
+      conditions.push(`property_type = $${params.length}`);
+    }
+    
+    if (minPrice) {
+      params.push(parseFloat(minPrice));
+      conditions.push(`list_price >= $${params.length}`);
+    }
+    
+    if (maxPrice) {
+      params.push(parseFloat(maxPrice));
+      conditions.push(`list_price <= $${params.length}`);
+    }
+    
+    if (minBedrooms) {
+      params.push(parseInt(minBedrooms, 10));
+      conditions.push(`bedrooms_total >= $${params.length}`);
+    }
+    
+    // Build the query
+    let query = 'SELECT * FROM listings';
+    
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    
+    // Add limiting and sorting
+    params.push(parseInt(limit, 10));
+    query += ` ORDER BY modification_timestamp DESC LIMIT $${params.length}`;
+    
+    params.push(parseInt(offset, 10));
+    query += ` OFFSET $${params.length}`;
+    
+    // Execute query
+    const result = await client.query(query, params);
+    
+    // Count total results
+    let countQuery = 'SELECT COUNT(*) FROM listings';
+    
+    if (conditions.length > 0) {
+      countQuery += ' WHERE ' + conditions.join(' AND ');
+    }
+    
+    const countResult = await client.query(countQuery, params.slice(0, -2));
+    
+    return {
+      total: parseInt(countResult.rows[0].count, 10),
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+      listings: result.rows
+    };
+  } catch (error) {
+    logger.error('Failed to query listings:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get database statistics for monitoring
+export const getStats = async () => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT 
+        COUNT(*) as total_listings,
+        COUNT(removed_at) as removed_listings,
+        MIN(modification_timestamp) as oldest_listing,
+        MAX(modification_timestamp) as newest_listing,
+        COUNT(CASE WHEN media_keys IS NOT NULL AND array_length(media_keys, 1) > 0 THEN 1 END) as listings_with_media,
+        COUNT(DISTINCT city) as unique_cities,
+        COUNT(DISTINCT property_type) as unique_property_types
+      FROM listings
+    `);
+    
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Failed to get database statistics:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get the change timeline for a listing, newest first
+export const getListingHistory = async (listingId, { field, limit = 50, offset = 0 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const params = [listingId];
+    let query = `
+      SELECT id, change_type, changed_fields, old_values, new_values, 
+             modification_timestamp, recorded_at
+      FROM listing_history
+      WHERE listing_id = $1
+    `;
+    
+    // Only entries touching a specific AMPRE field, e.g. ListPrice
+    if (field) {
+      params.push(field);
+      query += ` AND $${params.length} = ANY(changed_fields)`;
+    }
+    
+    params.push(parseInt(limit, 10));
+    query += ` ORDER BY modification_timestamp DESC NULLS LAST, id DESC LIMIT $${params.length}`;
+    
+    params.push(parseInt(offset, 10));
+    query += ` OFFSET $${params.length}`;
+    
+    const result = await client.query(query, params);
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to get history for listing ${listingId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// History of several listings at once, the latest `limit` entries per listing
+export const getHistoryForListings = async (listingIds, { field = null, limit = 50 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT listing_id, id, change_type, changed_fields, old_values, new_values, modification_timestamp, recorded_at
+      FROM (
+        SELECT *, row_number() OVER (
+          PARTITION BY listing_id ORDER BY modification_timestamp DESC NULLS LAST, id DESC
+        ) AS position
+        FROM listing_history
+        WHERE listing_id = ANY($1) AND ($2::text IS NULL OR $2 = ANY(changed_fields))
+      ) entries
+      WHERE position <= $3
+      ORDER BY listing_id, position
+    `, [listingIds, field, parseInt(limit, 10)]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to get history for ${listingIds.length} listings:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Current media of several listings in display order, media deleted upstream is left out
+export const getMediaForListings = async (listingIds) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT media_key, listing_id, media_type, media_category, media_url, media_status,
+             image_height, image_width, is_preferred, display_order, short_description,
+             local_path, variants, modification_timestamp
+      FROM listing_media
+      WHERE listing_id = ANY($1) AND media_status IS DISTINCT FROM 'Deleted'
+      ORDER BY listing_id, display_order NULLS LAST, media_key
+    `, [listingIds]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to get media for ${listingIds.length} listings:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get ids of listings still considered live, created before a given time
+export const getActiveListingIds = async (createdBefore) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT id FROM listings WHERE removed_at IS NULL AND created_at < $1',
+      [createdBefore]
+    );
+    
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    logger.error('Failed to get active listing ids:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Soft-delete listings that are no longer in the AMPRE feed
+export const markListingsRemoved = async (listingIds) => {
+  if (!listingIds || listingIds.length === 0) {
+    return 0;
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(`
+      UPDATE listings
+      SET removed_at = NOW(), updated_at = NOW()
+      WHERE id = ANY($1) AND removed_at IS NULL
+      RETURNING id, modification_timestamp
+    `, [listingIds]);
+    
+    await insertListingHistory(client, result.rows.map(row => ({
+      listing_id: row.id,
+      change_type: 'removed',
+      changed_fields: [],
+      old_values: null,
+      new_values: null,
+      modification_timestamp: row.modification_timestamp
+    })));
+    
+    await client.query('COMMIT');
+    
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to mark ${listingIds.length} listings as removed:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Estimate the rows a query returns from the planner, much cheaper than COUNT(*) on large tables
+export const estimateRowCount = async (queryText, params = []) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`EXPLAIN (FORMAT JSON) ${queryText}`, params);
+    return Math.round(result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+  } catch (error) {
+    logger.error('Failed to estimate row count:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Check if a listing exists in the database
+export const isListingInDatabase = async (listingId) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'SELECT 1 FROM listings WHERE id = $1 LIMIT 1',
+      [listingId]
+    );
+    
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error(`Failed to check if listing ${listingId} exists:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Columns returned for API keys, never including the hash
+const API_KEY_COLUMNS = `
+  id, name, key_prefix, scopes, rate_limit_per_minute, rate_limit_per_day,
+  created_at, last_used_at, revoked_at
+`;
+
+// Create an API key record from an already hashed key
+export const createApiKey = async ({ name, keyPrefix, keyHash, scopes, rateLimitPerMinute = 60, rateLimitPerDay = null }) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, rate_limit_per_day)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${API_KEY_COLUMNS}
+    `, [name, keyPrefix, keyHash, scopes, rateLimitPerMinute, rateLimitPerDay]);
+    
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Failed to create API key ${name}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Find an active API key by hash, together with the requests it made today
+export const findApiKeyByHash = async (keyHash) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT k.id, k.name, k.key_prefix, k.scopes, k.rate_limit_per_minute, k.rate_limit_per_day,
+             COALESCE(u.request_count, 0)::int AS requests_today
+      FROM api_keys k
+      LEFT JOIN api_key_usage u ON u.api_key_id = k.id AND u.usage_date = CURRENT_DATE
+      WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+    `, [keyHash]);
+    
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Failed to look up API key:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// List all API keys, newest first
+export const listApiKeys = async () => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY id DESC`);
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to list API keys:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Revoke an API key, returns false when it does not exist or was already revoked
+export const revokeApiKey = async (id) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+      [id]
+    );
+    
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Failed to revoke API key ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Add request counts to today's usage of each key.
+// entries: [{ apiKeyId, requests }]
+export const recordApiKeyUsage = async (entries) => {
+  if (entries.length === 0) return;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await client.query(`
+      INSERT INTO api_key_usage (api_key_id, usage_date, request_count)
+      SELECT api_key_id, CURRENT_DATE, requests
+      FROM unnest($1::int[], $2::bigint[]) AS usage(api_key_id, requests)
+      ON CONFLICT (api_key_id, usage_date)
+      DO UPDATE SET request_count = api_key_usage.request_count + EXCLUDED.request_count
+    `, [
+      entries.map(entry => entry.apiKeyId),
+      entries.map(entry => entry.requests)
+    ]);
+    
+    await client.query(
+      'UPDATE api_keys SET last_used_at = NOW() WHERE id = ANY($1)',
+      [entries.map(entry => entry.apiKeyId)]
+    );
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Failed to record API key usage:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get daily request counts for the last `days` days, optionally for a single key
+export const getApiKeyUsage = async ({ apiKeyId = null, days = 30 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT u.api_key_id, k.name, u.usage_date::text AS usage_date, u.request_count
+      FROM api_key_usage u
+      JOIN api_keys k ON k.id = u.api_key_id
+      WHERE u.usage_date > CURRENT_DATE - $1::int
+        AND ($2::int IS NULL OR u.api_key_id = $2)
+      ORDER BY u.usage_date DESC, u.api_key_id
+    `, [days, apiKeyId]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get API key usage:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const SAVED_SEARCH_COLUMNS = `
+  id, name, params, alert_types, delivery_method, delivery_target,
+  last_evaluated_at, created_at
+`;
+
+// Newest listing_history entry whose transaction is older than every transaction still running.
+// Consumers read entries in (change_xid, id) order up to it: ids are handed out at insert time,
+// so an open transaction can still commit entries with lower ids than ones already visible.
+const LATEST_HISTORY_POSITION_SQL = `
+  SELECT change_xid, id FROM listing_history
+  WHERE change_xid < pg_snapshot_xmin(pg_current_snapshot())
+  ORDER BY change_xid DESC, id DESC
+  LIMIT 1
+`;
+
+// Create a saved search. Alerts start from the current end of listing_history,
+// so existing listings are not reported as new.
+export const createSavedSearch = async ({ apiKeyId, name, params, alertTypes, deliveryMethod, deliveryTarget = null, webhookSecret = null }) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      WITH latest AS (${LATEST_HISTORY_POSITION_SQL})
+      INSERT INTO saved_searches (api_key_id, name, params, alert_types, delivery_method, delivery_target, webhook_secret, last_history_xid, last_history_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE((SELECT change_xid FROM latest), '0'), COALESCE((SELECT id FROM latest), 0))
+      RETURNING ${SAVED_SEARCH_COLUMNS}
+    `, [apiKeyId, name, JSON.stringify(params), alertTypes, deliveryMethod, deliveryTarget, webhookSecret]);
+    
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Failed to create saved search ${name}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// List the saved searches of an API key, newest first
+export const listSavedSearches = async (apiKeyId) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE api_key_id = $1 ORDER BY id DESC`,
+      [apiKeyId]
+    );
+    
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to list saved searches for API key ${apiKeyId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get a saved search owned by an API key, null when it does not exist or belongs to another key
+export const getSavedSearch = async (id, apiKeyId) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE id = $1 AND api_key_id = $2`,
+      [id, apiKeyId]
+    );
+    
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error(`Failed to get saved search ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Delete a saved search and its alerts, returns false when the key does not own it
+export const deleteSavedSearch = async (id, apiKeyId) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND api_key_id = $2',
+      [id, apiKeyId]
+    );
+    
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Failed to delete saved search ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Replace the webhook secret of a webhook saved search, returns false when the key does not own one
+export const setSavedSearchWebhookSecret = async (id, apiKeyId, webhookSecret) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      UPDATE saved_searches SET webhook_secret = $3
+      WHERE id = $1 AND api_key_id = $2 AND delivery_method = 'webhook'
+    `, [id, apiKeyId, webhookSecret]);
+    
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Failed to set webhook secret of saved search ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Get the latest alerts of a saved search, newest first
+export const getSavedSearchAlerts = async (savedSearchId, { limit = 50 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT id, listing_id, alert_type, old_price, new_price, created_at, delivered_at, delivery_error
+      FROM saved_search_alerts
+      WHERE saved_search_id = $1
+      ORDER BY id DESC
+      LIMIT $2
+    `, [savedSearchId, parseInt(limit, 10)]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to get alerts for saved search ${savedSearchId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Saved searches of active API keys that have listing_history left to evaluate up to `upTo`,
+// a position from getLatestListingHistoryPosition
+export const getSavedSearchesToEvaluate = async (upTo) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT s.id, s.name, s.params, s.alert_types, s.last_history_xid::text, s.last_history_id
+      FROM saved_searches s
+      JOIN api_keys k ON k.id = s.api_key_id
+      WHERE k.revoked_at IS NULL AND (s.last_history_xid, s.last_history_id) < ($1::xid8, $2::bigint)
+      ORDER BY s.id
+    `, [upTo.xid, upTo.id]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get saved searches to evaluate:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Position { xid, id } of the newest listing_history entry no running transaction can write
+// behind, the upper bound of an alert evaluation run
+export const getLatestListingHistoryPosition = async () => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`SELECT change_xid::text AS xid, id FROM (${LATEST_HISTORY_POSITION_SQL}) latest`);
+    const latest = result.rows[0];
+    
+    return latest ? { xid: latest.xid, id: parseInt(latest.id, 10) } : { xid: '0', id: 0 };
+  } catch (error) {
+    logger.error('Failed to get the latest listing history position:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record alerts for the listing_history entries between the positions `from` (exclusive) and
+// `to` (inclusive) whose listing matches the saved search, and move its evaluation cursor to `to`.
+// Positions are { xid, id } in (change_xid, id) order, see getLatestListingHistoryPosition.
+// `conditions` and `params` come from buildSearchConditions and refer to listings columns.
+export const recordSavedSearchAlerts = async ({ savedSearchId, alertTypes, conditions, params, from, to }) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const queryParams = [...params, savedSearchId, from.xid, from.id, to.xid, to.id, alertTypes];
+    const [searchParam, fromXidParam, fromIdParam, toXidParam, toIdParam, typesParam] = [1, 2, 3, 4, 5, 6]
+      .map(offset => `$${params.length + offset}`);
+    const matchCondition = conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : '';
+    
+    // New and restored listings, and updates that lowered ListPrice
+    const result = await client.query(`
+      INSERT INTO saved_search_alerts (saved_search_id, listing_id, history_id, alert_type, old_price, new_price)
+      SELECT ${searchParam}, h.listing_id, h.id,
+        CASE WHEN h.change_type = 'updated' THEN 'price_drop' ELSE 'new_listing' END,
+        (h.old_values->>'ListPrice')::numeric,
+        (h.new_values->>'ListPrice')::numeric
+      FROM listing_history h
+      WHERE (h.change_xid, h.id) > (${fromXidParam}::xid8, ${fromIdParam}::bigint)
+        AND (h.change_xid, h.id) <= (${toXidParam}::xid8, ${toIdParam}::bigint)
+        AND (
+          ('new_listing' = ANY(${typesParam}::text[]) AND h.change_type IN ('created', 'restored'))
+          OR (
+            'price_drop' = ANY(${typesParam}::text[]) AND h.change_type = 'updated' AND
+            'ListPrice' = ANY(h.changed_fields) AND
+            (h.new_values->>'ListPrice')::numeric < (h.old_values->>'ListPrice')::numeric
+          )
+        )
+        AND EXISTS (SELECT 1 FROM listings WHERE listings.id = h.listing_id${matchCondition})
+      ON CONFLICT (saved_search_id, history_id) DO NOTHING
+    `, queryParams);
+    
+    await client.query(
+      'UPDATE saved_searches SET last_history_xid = $2, last_history_id = $3, last_evaluated_at = NOW() WHERE id = $1',
+      [savedSearchId, to.xid, to.id]
+    );
+    
+    await client.query('COMMIT');
+    
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to record alerts for saved search ${savedSearchId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Undelivered alerts after `afterId` with their saved search and a listing summary, oldest first
+export const getUndeliveredAlerts = async ({ afterId = 0, limit = 1000, maxAttempts = 5 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT a.id, a.saved_search_id, a.listing_id, a.alert_type, a.old_price, a.new_price, a.created_at,
+             s.name AS saved_search_name, s.delivery_method, s.delivery_target, s.webhook_secret,
+             l.mls_number, l.unparsed_address, l.city, l.list_price, l.property_type, l.bedrooms_total
+      FROM saved_search_alerts a
+      JOIN saved_searches s ON s.id = a.saved_search_id
+      JOIN listings l ON l.id = a.listing_id
+      WHERE a.delivered_at IS NULL AND a.delivery_attempts < $1 AND a.id > $2
+      ORDER BY a.id
+      LIMIT $3
+    `, [maxAttempts, afterId, limit]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get undelivered alerts:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Mark alerts as delivered
+export const markAlertsDelivered = async (alertIds) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE saved_search_alerts
+      SET delivered_at = NOW(), delivery_attempts = delivery_attempts + 1, delivery_error = NULL
+      WHERE id = ANY($1)
+    `, [alertIds]);
+  } catch (error) {
+    logger.error('Failed to mark alerts delivered:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Count a failed delivery attempt, alerts are retried until they reach the attempt limit
+export const markAlertsDeliveryFailed = async (alertIds, error) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE saved_search_alerts
+      SET delivery_attempts = delivery_attempts + 1, delivery_error = $2
+      WHERE id = ANY($1)
+    `, [alertIds, error?.message || String(error)]);
+  } catch (dbError) {
+    logger.error('Failed to record alert delivery failure:', dbError);
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+const WEBHOOK_SUBSCRIPTION_COLUMNS = 'id, url, event_types, description, active, created_at';
+
+// Create a webhook subscription, an empty event type list subscribes to every event
+export const createWebhookSubscription = async ({ url, secret, eventTypes = [], description = null }) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${WEBHOOK_SUBSCRIPTION_COLUMNS}
+    `, [url, secret, eventTypes, description]);
+    
+    return result.rows[0];
+  } catch (error) {
+    logger.error(`Failed to create webhook subscription for ${url}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// List webhook subscriptions with their delivery counts, secrets are never returned
+export const listWebhookSubscriptions = async () => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT s.id, s.url, s.event_types, s.description, s.active, s.created_at,
+             COUNT(d.id) FILTER (WHERE d.status = 'pending') AS pending,
+             COUNT(d.id) FILTER (WHERE d.status = 'delivered') AS delivered,
+             COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+      GROUP BY s.id
+      ORDER BY s.id
+    `);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to list webhook subscriptions:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Pause or resume a webhook subscription, paused subscriptions get no new events
+export const setWebhookSubscriptionActive = async (id, active) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      'UPDATE webhook_subscriptions SET active = $2 WHERE id = $1',
+      [id, active]
+    );
+    
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Failed to update webhook subscription ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Delete a webhook subscription and its delivery log
+export const deleteWebhookSubscription = async (id) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Failed to delete webhook subscription ${id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// listing_history entries after the position `after` ({ xid, id }) with the listing's MLS number,
+// in (change_xid, id) order. Only entries whose transaction is older than every transaction
+// still running are returned, so no entry can later commit behind the last one read.
+export const getListingHistorySince = async (after, { limit = 1000 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT h.id, h.change_xid::text, h.listing_id, h.change_type, h.changed_fields, h.old_values, h.new_values,
+             h.modification_timestamp, h.recorded_at, l.mls_number
+      FROM listing_history h
+      JOIN listings l ON l.id = h.listing_id
+      WHERE (h.change_xid, h.id) > ($1::xid8, $2::bigint)
+        AND h.change_xid < pg_snapshot_xmin(pg_current_snapshot())
+      ORDER BY h.change_xid, h.id
+      LIMIT $3
+    `, [after.xid, after.id, limit]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error(`Failed to get listing history after ${after.xid}:${after.id}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Events per multi-row delivery insert
+const WEBHOOK_INSERT_CHUNK_SIZE = 1000;
+
+// Queue a delivery of each event for every active subscription that wants its type.
+// Events already queued for a subscription (same event id) are skipped, so a page can be
+// enqueued again safely. When `checkpoint` is given it is written in the same transaction.
+export const insertWebhookDeliveries = async (events, checkpoint = null) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    let queued = 0;
+    
+    for (let i = 0; i < events.length; i += WEBHOOK_INSERT_CHUNK_SIZE) {
+      const chunk = events.slice(i, i + WEBHOOK_INSERT_CHUNK_SIZE);
+      
+      const result = await client.query(`
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, listing_id, payload)
+        SELECT s.id, e.event_id, e.event_type, e.listing_id, e.payload
+        FROM unnest($1::text[], $2::text[], $3::text[], $4::jsonb[]) AS e(event_id, event_type, listing_id, payload)
+        JOIN webhook_subscriptions s
+          ON s.active AND (cardinality(s.event_types) = 0 OR e.event_type = ANY(s.event_types))
+        ON CONFLICT (subscription_id, event_id) DO NOTHING
+      `, [
+        chunk.map(event => event.id),
+        chunk.map(event => event.type),
+        chunk.map(event => event.listingId),
+        chunk.map(event => JSON.stringify(event.payload))
+      ]);
+      
+      queued += result.rowCount;
+    }
+    
+    if (checkpoint) {
+      await writeReplicationState(client, checkpoint.resourceName, checkpoint.lastTimestamp, checkpoint.lastKey, checkpoint.recordsProcessed || 0);
+    }
+    
+    await client.query('COMMIT');
+    
+    return queued;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to queue ${events.length} webhook events:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Pending deliveries whose next attempt is due, with their subscription's URL and secret
+export const getDueWebhookDeliveries = async ({ limit = 100 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT d.id, d.subscription_id, d.event_id, d.event_type, d.payload, d.attempts, s.url, s.secret
+      FROM webhook_deliveries d
+      JOIN webhook_subscriptions s ON s.id = d.subscription_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.active
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT $1
+    `, [limit]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get due webhook deliveries:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record a successful delivery attempt
+export const markWebhookDelivered = async (id, responseStatus) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = attempts + 1, last_attempt_at = NOW(), delivered_at = NOW(),
+          response_status = $2, last_error = NULL
+      WHERE id = $1
+    `, [id, responseStatus]);
+  } catch (error) {
+    logger.error(`Failed to mark webhook delivery ${id} delivered:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record a failed delivery attempt. The delivery is retried after `retryInSeconds`,
+// or marked 'failed' for good when it is null.
+export const markWebhookDeliveryFailed = async (id, { responseStatus = null, error, retryInSeconds = null }) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query(`
+      UPDATE webhook_deliveries
+      SET attempts = attempts + 1, last_attempt_at = NOW(), response_status = $2, last_error = $3,
+          status = CASE WHEN $4::int IS NULL THEN 'failed' ELSE 'pending' END,
+          next_attempt_at = CASE WHEN $4::int IS NULL THEN next_attempt_at ELSE NOW() + make_interval(secs => $4::int) END
+      WHERE id = $1
+    `, [id, responseStatus, error?.message || String(error), retryInSeconds]);
+  } catch (dbError) {
+    logger.error(`Failed to record webhook delivery ${id} failure:`, dbError);
+    throw dbError;
+  } finally {
+    client.release();
+  }
+};
+
+// Latest webhook deliveries, newest first, optionally for one subscription and status
+export const getWebhookDeliveries = async ({ subscriptionId = null, status = null, limit = 50 } = {}) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(`
+      SELECT id, subscription_id, event_id, event_type, listing_id, status, attempts, response_status,
+             last_error, next_attempt_at, last_attempt_at, delivered_at, created_at
+      FROM webhook_deliveries
+      WHERE ($1::int IS NULL OR subscription_id = $1) AND ($2::text IS NULL OR status = $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [subscriptionId, status, parseInt(limit, 10)]);
+    
+    return result.rows;
+  } catch (error) {
+    logger.error('Failed to get webhook deliveries:', error);
     throw error;
   } finally {
     client.release();
@@ -1,10 +1,28 @@
-import { pgTable, text, integer, doublePrecision, numeric, timestamp, jsonb, boolean, primaryKey } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
+import { pgTable, customType, text, integer, serial, bigint, bigserial, date, doublePrecision, numeric, timestamp, jsonb, boolean, primaryKey, unique, index } from 'drizzle-orm/pg-core';
+
+// Postgres full-text search document
+const tsvector = customType({
+  dataType() {
+    return 'tsvector';
+  }
+});
+
+// 64-bit transaction id, read as text
+const xid8 = customType({
+  dataType() {
+    return 'xid8';
+  }
+});
 
 // Listings table schema
 export const listings = pgTable('listings', {
   // Primary identifier
   id: text('id').primaryKey(),
   
+  // MLS number (AMPRE ListingId), what agents search for
+  mlsNumber: text('mls_number'),
+  
   // Location data
   unparsedAddress: text('unparsed_address'),
   streetNumber: text('street_number'),
@@ -16,6 +34,7 @@ export const listings = pgTable('listings', {
   postalCode: text('postal_code'),
   country: text('country'),
   countyOrParish: text('county_or_parish'),
+  neighbourhood: text('neighbourhood'),
   
   // Geolocation
   latitude: doublePrecision('latitude'),
@@ -71,6 +90,10 @@ export const listings = pgTable('listings', {
   preferredMediaKey: text('preferred_media_key'),
   virtualTourUrl: text('virtual_tour_url'),
   
+  // Latest AMPRE media change timestamp, and the value the media set was last reconciled for
+  mediaChangeTimestamp: timestamp('media_change_timestamp', { withTimezone: true }),
+  mediaReconciledAt: timestamp('media_reconciled_at', { withTimezone: true }),
+  
   // Textual information
   publicRemarks: text('public_remarks'),
   privateRemarks: text('private_remarks'),
@@ -88,13 +111,44 @@ export const listings = pgTable('listings', {
   originatingSystemId: text('originating_system_id'),
   originatingSystemName: text('originating_system_name'),
   
+  // Set when the listing is no longer returned by the AMPRE feed
+  removedAt: timestamp('removed_at'),
+  
   // Track record updates
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
   
+  // Transaction that last wrote the row, orders the changes feed by commit visibility
+  changeXid: xid8('change_xid').notNull().default(sql`pg_current_xact_id()`),
+  
   // Store the complete raw data for future field expansion
-  raw: jsonb('raw')
-});
+  raw: jsonb('raw'),
+  
+  // Weighted full-text document: address and city (A), property type (B), remarks (C)
+  searchVector: tsvector('search_vector').generatedAlwaysAs(sql`
+    setweight(to_tsvector('english',
+      COALESCE(unparsed_address, '') || ' ' ||
+      COALESCE(city, '') || ' ' ||
+      COALESCE(province, '') || ' ' ||
+      COALESCE(postal_code, '')
+    ), 'A') ||
+    setweight(to_tsvector('english',
+      COALESCE(property_type, '') || ' ' ||
+      COALESCE(property_sub_type, '')
+    ), 'B') ||
+    setweight(to_tsvector('english', COALESCE(public_remarks, '')), 'C')
+  `)
+}, (table) => [
+  index('idx_listings_search_vector').using('gin', table.searchVector),
+  index('idx_listings_city_trgm').using('gin', table.city.op('gin_trgm_ops')),
+  index('idx_listings_neighbourhood_trgm').using('gin', table.neighbourhood.op('gin_trgm_ops')),
+  index('idx_listings_street_name_trgm').using('gin', table.streetName.op('gin_trgm_ops')),
+  index('idx_listings_unparsed_address_trgm').using('gin', table.unparsedAddress.op('gin_trgm_ops')),
+  index('idx_listings_id_trgm').using('gin', table.id.op('gin_trgm_ops')),
+  index('idx_listings_mls_number_trgm').using('gin', table.mlsNumber.op('gin_trgm_ops')),
+  index('idx_listings_mls_number').on(table.mlsNumber),
+  index('idx_listings_change_xid_id').on(table.changeXid, table.id)
+]);
 
 // Listing media table schema
 export const listingMedia = pgTable('listing_media', {
@@ -115,12 +169,45 @@ export const listingMedia = pgTable('listing_media', {
   displayOrder: integer('display_order'),
   shortDescription: text('short_description'),
   
+  // Local mirror of the image, filled in by the media mirroring worker
+  localPath: text('local_path'),
+  contentHash: text('content_hash'),
+  variants: jsonb('variants'),
+  mirroredAt: timestamp('mirrored_at'),
+  mirrorAttempts: integer('mirror_attempts').default(0),
+  mirrorError: text('mirror_error'),
+  
   // Track record updates
   modificationTimestamp: timestamp('modification_timestamp'),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 });
 
+// Listing history table schema
+export const listingHistory = pgTable('listing_history', {
+  id: bigserial('id', { mode: 'number' }).primaryKey(),
+  
+  // Foreign key to listings
+  listingId: text('listing_id').notNull().references(() => listings.id, { onDelete: 'cascade' }),
+  
+  // What changed ('created', 'updated', 'removed' or 'restored'), keyed by AMPRE field name
+  changeType: text('change_type').notNull(),
+  changedFields: text('changed_fields').array().notNull(),
+  oldValues: jsonb('old_values'),
+  newValues: jsonb('new_values'),
+  
+  // AMPRE ModificationTimestamp of the version that introduced the change
+  modificationTimestamp: timestamp('modification_timestamp'),
+  recordedAt: timestamp('recorded_at').defaultNow(),
+  
+  // Transaction that recorded the entry, consumers read entries in (change_xid, id) order
+  changeXid: xid8('change_xid').notNull().default(sql`pg_current_xact_id()`)
+}, (table) => [
+  index('idx_listing_history_listing').on(table.listingId, table.modificationTimestamp.desc()),
+  index('idx_listing_history_changed_fields').using('gin', table.changedFields),
+  index('idx_listing_history_change_xid_id').on(table.changeXid, table.id)
+]);
+
 // Replication state table schema
 export const replicationState = pgTable('replication_state', {
   id: integer('id').primaryKey({ autoIncrement: true }),
@@ -129,4 +216,142 @@ export const replicationState = pgTable('replication_state', {
   lastKey: text('last_key').notNull(),
   recordsProcessed: integer('records_processed').default(0),
   lastRunAt: timestamp('last_run_at').defaultNow()
-}); 
\ No newline at end of file
+}); 
+
+// Dead-letter table for listings that failed to replicate
+export const replicationFailures = pgTable('replication_failures', {
+  listingKey: text('listing_key').primaryKey(),
+  modificationTimestamp: timestamp('modification_timestamp'),
+  errorMessage: text('error_message'),
+  attempts: integer('attempts').default(1),
+  firstFailedAt: timestamp('first_failed_at').defaultNow(),
+  lastFailedAt: timestamp('last_failed_at').defaultNow(),
+  resolvedAt: timestamp('resolved_at')
+});
+
+// Dead-letter table for media that arrived before its listing, written once the listing exists
+export const mediaReplicationFailures = pgTable('media_replication_failures', {
+  mediaKey: text('media_key').primaryKey(),
+  listingId: text('listing_id').notNull(),
+  media: jsonb('media').notNull(),
+  errorMessage: text('error_message'),
+  attempts: integer('attempts').default(1),
+  firstFailedAt: timestamp('first_failed_at').defaultNow(),
+  lastFailedAt: timestamp('last_failed_at').defaultNow(),
+  resolvedAt: timestamp('resolved_at')
+}, (table) => [
+  index('idx_media_replication_failures_unresolved').on(table.listingId).where(sql`${table.resolvedAt} IS NULL`)
+]);
+
+// API keys table schema, only the SHA-256 hash of each key is stored
+export const apiKeys = pgTable('api_keys', {
+  id: serial('id').primaryKey(),
+  name: text('name').notNull(),
+  keyPrefix: text('key_prefix').notNull(),
+  keyHash: text('key_hash').notNull().unique(),
+  
+  // 'search', 'full' or 'admin', each scope includes the ones before it
+  scopes: text('scopes').array().notNull().default(['search']),
+  
+  // Null means unlimited
+  rateLimitPerMinute: integer('rate_limit_per_minute').default(60),
+  rateLimitPerDay: integer('rate_limit_per_day'),
+  
+  createdAt: timestamp('created_at').defaultNow(),
+  lastUsedAt: timestamp('last_used_at'),
+  revokedAt: timestamp('revoked_at')
+});
+
+// Daily request counts per API key
+export const apiKeyUsage = pgTable('api_key_usage', {
+  apiKeyId: integer('api_key_id').notNull().references(() => apiKeys.id, { onDelete: 'cascade' }),
+  usageDate: date('usage_date').notNull(),
+  requestCount: bigint('request_count', { mode: 'number' }).notNull().default(0)
+}, (table) => [
+  primaryKey({ columns: [table.apiKeyId, table.usageDate] })
+]);
+
+// Saved /api/search parameter sets, evaluated for alerts after each replication cycle
+export const savedSearches = pgTable('saved_searches', {
+  id: serial('id').primaryKey(),
+  apiKeyId: integer('api_key_id').notNull().references(() => apiKeys.id, { onDelete: 'cascade' }),
+  name: text('name').notNull(),
+  params: jsonb('params').notNull(),
+  
+  // 'new_listing' and/or 'price_drop'
+  alertTypes: text('alert_types').array().notNull().default(['new_listing', 'price_drop']),
+  
+  // 'webhook' (URL), 'email' (address) or 'log'
+  deliveryMethod: text('delivery_method').notNull().default('log'),
+  deliveryTarget: text('delivery_target'),
+  
+  // Signs webhook deliveries, shown to the client once
+  webhookSecret: text('webhook_secret'),
+  
+  // listing_history rows up to this (change_xid, id) position have been evaluated
+  lastHistoryXid: xid8('last_history_xid').notNull().default('0'),
+  lastHistoryId: bigint('last_history_id', { mode: 'number' }).notNull().default(0),
+  lastEvaluatedAt: timestamp('last_evaluated_at'),
+  
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('idx_saved_searches_api_key').on(table.apiKeyId)
+]);
+
+// Alerts produced for saved searches, one per saved search and listing_history entry
+export const savedSearchAlerts = pgTable('saved_search_alerts', {
+  id: bigserial('id', { mode: 'number' }).primaryKey(),
+  savedSearchId: integer('saved_search_id').notNull().references(() => savedSearches.id, { onDelete: 'cascade' }),
+  listingId: text('listing_id').notNull().references(() => listings.id, { onDelete: 'cascade' }),
+  historyId: bigint('history_id', { mode: 'number' }).notNull().references(() => listingHistory.id, { onDelete: 'cascade' }),
+  alertType: text('alert_type').notNull(),
+  oldPrice: numeric('old_price'),
+  newPrice: numeric('new_price'),
+  createdAt: timestamp('created_at').defaultNow(),
+  
+  // Delivery through the saved search's delivery method
+  deliveredAt: timestamp('delivered_at'),
+  deliveryAttempts: integer('delivery_attempts').default(0),
+  deliveryError: text('delivery_error')
+}, (table) => [
+  unique('saved_search_alerts_search_history_unique').on(table.savedSearchId, table.historyId),
+  index('idx_saved_search_alerts_undelivered').on(table.savedSearchId).where(sql`${table.deliveredAt} IS NULL`)
+]);
+
+// Outbound webhook endpoints for listing events
+export const webhookSubscriptions = pgTable('webhook_subscriptions', {
+  id: serial('id').primaryKey(),
+  url: text('url').notNull(),
+  
+  // Key for the HMAC-SHA256 signature of each delivery
+  secret: text('secret').notNull(),
+  
+  // Event types to send, empty means all
+  eventTypes: text('event_types').array().notNull().default([]),
+  description: text('description'),
+  active: boolean('active').notNull().default(true),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// One row per event and subscription, doubles as the delivery log
+export const webhookDeliveries = pgTable('webhook_deliveries', {
+  id: bigserial('id', { mode: 'number' }).primaryKey(),
+  subscriptionId: integer('subscription_id').notNull().references(() => webhookSubscriptions.id, { onDelete: 'cascade' }),
+  eventId: text('event_id').notNull(),
+  eventType: text('event_type').notNull(),
+  listingId: text('listing_id'),
+  payload: jsonb('payload').notNull(),
+  
+  // 'pending', 'delivered' or 'failed' (gave up after WEBHOOK_MAX_ATTEMPTS)
+  status: text('status').notNull().default('pending'),
+  attempts: integer('attempts').notNull().default(0),
+  nextAttemptAt: timestamp('next_attempt_at').defaultNow(),
+  lastAttemptAt: timestamp('last_attempt_at'),
+  responseStatus: integer('response_status'),
+  lastError: text('last_error'),
+  deliveredAt: timestamp('delivered_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  unique('webhook_deliveries_subscription_event_unique').on(table.subscriptionId, table.eventId),
+  index('idx_webhook_deliveries_due').on(table.nextAttemptAt).where(sql`${table.status} = 'pending'`)
+]);
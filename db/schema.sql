@@ -1,13 +1,29 @@
+-- Spatial search needs PostGIS, fuzzy suggestions need pg_trgm
+CREATE EXTENSION IF NOT EXISTS postgis;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Drop existing tables if they exist (in the correct order to handle dependencies)
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
+DROP TABLE IF EXISTS saved_search_alerts CASCADE;
+DROP TABLE IF EXISTS saved_searches CASCADE;
+DROP TABLE IF EXISTS listing_history CASCADE;
 DROP TABLE IF EXISTS listing_media CASCADE;
 DROP TABLE IF EXISTS listings CASCADE;
 DROP TABLE IF EXISTS replication_state CASCADE;
+DROP TABLE IF EXISTS replication_failures CASCADE;
+DROP TABLE IF EXISTS media_replication_failures CASCADE;
+DROP TABLE IF EXISTS api_key_usage CASCADE;
+DROP TABLE IF EXISTS api_keys CASCADE;
 
 -- Create listings table with improved structure
 CREATE TABLE IF NOT EXISTS listings (
   -- Primary identifier
   id TEXT PRIMARY KEY,
   
+  -- MLS number (AMPRE ListingId), what agents search for
+  mls_number TEXT NULL,
+  
   -- Location data
   unparsed_address TEXT NULL,
   street_number TEXT NULL,
@@ -19,6 +35,7 @@ CREATE TABLE IF NOT EXISTS listings (
   postal_code TEXT NULL,
   country TEXT NULL,
   county_or_parish TEXT NULL,
+  neighbourhood TEXT NULL,
   
   -- Geolocation 
   latitude DOUBLE PRECISION NULL,
@@ -74,6 +91,10 @@ CREATE TABLE IF NOT EXISTS listings (
   preferred_media_key TEXT NULL,
   virtual_tour_url TEXT NULL,
   
+  -- Latest AMPRE Media/Photos/DocumentsChangeTimestamp, and the value the media set was last reconciled for
+  media_change_timestamp TIMESTAMP WITH TIME ZONE NULL,
+  media_reconciled_at TIMESTAMP WITH TIME ZONE NULL,
+  
   -- Textual information
   public_remarks TEXT NULL,
   private_remarks TEXT NULL,
@@ -91,12 +112,33 @@ CREATE TABLE IF NOT EXISTS listings (
   originating_system_id TEXT NULL,
   originating_system_name TEXT NULL,
   
+  -- Set when the listing is no longer returned by the AMPRE feed
+  removed_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  
   -- Track record updates
   created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
   
+  -- Transaction that last wrote the row, orders the changes feed by commit visibility
+  change_xid XID8 NOT NULL DEFAULT pg_current_xact_id(),
+  
   -- Store the complete raw data for future field expansion
-  raw JSONB NULL
+  raw JSONB NULL,
+  
+  -- Weighted full-text document: address and city (A), property type (B), remarks (C)
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english',
+      COALESCE(unparsed_address, '') || ' ' ||
+      COALESCE(city, '') || ' ' ||
+      COALESCE(province, '') || ' ' ||
+      COALESCE(postal_code, '')
+    ), 'A') ||
+    setweight(to_tsvector('english',
+      COALESCE(property_type, '') || ' ' ||
+      COALESCE(property_sub_type, '')
+    ), 'B') ||
+    setweight(to_tsvector('english', COALESCE(public_remarks, '')), 'C')
+  ) STORED
 );
 
 -- Create listing media table to efficiently store and query media
@@ -118,12 +160,41 @@ CREATE TABLE IF NOT EXISTS listing_media (
   display_order INTEGER NULL,
   short_description TEXT NULL,
   
+  -- Local mirror of the image, filled in by the media mirroring worker
+  local_path TEXT NULL,
+  content_hash TEXT NULL,
+  variants JSONB NULL,
+  mirrored_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  mirror_attempts INTEGER DEFAULT 0,
+  mirror_error TEXT NULL,
+  
   -- Track record updates
   modification_timestamp TIMESTAMP WITHOUT TIME ZONE NULL,
   created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
 );
 
+-- Create listing history table to keep every replicated change
+CREATE TABLE IF NOT EXISTS listing_history (
+  id BIGSERIAL PRIMARY KEY,
+  
+  -- Foreign key to listings
+  listing_id TEXT NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  
+  -- What changed ('created', 'updated', 'removed' or 'restored'), keyed by AMPRE field name
+  change_type TEXT NOT NULL,
+  changed_fields TEXT[] NOT NULL,
+  old_values JSONB NULL,
+  new_values JSONB NULL,
+  
+  -- AMPRE ModificationTimestamp of the version that introduced the change
+  modification_timestamp TIMESTAMP WITHOUT TIME ZONE NULL,
+  recorded_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  
+  -- Transaction that recorded the entry, consumers read entries in (change_xid, id) order
+  change_xid XID8 NOT NULL DEFAULT pg_current_xact_id()
+);
+
 -- Create replication state tracking table
 CREATE TABLE IF NOT EXISTS replication_state (
   id SERIAL PRIMARY KEY,
@@ -134,9 +205,142 @@ CREATE TABLE IF NOT EXISTS replication_state (
   last_run_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
 );
 
+-- Create dead-letter table for listings that failed to replicate
+CREATE TABLE IF NOT EXISTS replication_failures (
+  listing_key TEXT PRIMARY KEY,
+  modification_timestamp TIMESTAMP WITHOUT TIME ZONE NULL,
+  error_message TEXT NULL,
+  attempts INTEGER DEFAULT 1,
+  first_failed_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  last_failed_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITHOUT TIME ZONE NULL
+);
+
+-- Create dead-letter table for media that arrived before its listing. The mapped row is kept
+-- and written once the listing exists, the Media checkpoint has already moved past it.
+CREATE TABLE IF NOT EXISTS media_replication_failures (
+  media_key TEXT PRIMARY KEY,
+  listing_id TEXT NOT NULL,
+  media JSONB NOT NULL,
+  error_message TEXT NULL,
+  attempts INTEGER DEFAULT 1,
+  first_failed_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  last_failed_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITHOUT TIME ZONE NULL
+);
+
+-- Create API keys table, only the SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  
+  -- 'search', 'full' or 'admin', each scope includes the ones before it
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['search'],
+  
+  -- NULL means unlimited
+  rate_limit_per_minute INTEGER NULL DEFAULT 60,
+  rate_limit_per_day INTEGER NULL,
+  
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  revoked_at TIMESTAMP WITHOUT TIME ZONE NULL
+);
+
+-- Create daily request counts per API key
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  request_count BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (api_key_id, usage_date)
+);
+
+-- Saved /api/search parameter sets, evaluated for alerts after each replication cycle
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id SERIAL PRIMARY KEY,
+  api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  params JSONB NOT NULL,
+  
+  -- 'new_listing' and/or 'price_drop'
+  alert_types TEXT[] NOT NULL DEFAULT ARRAY['new_listing', 'price_drop'],
+  
+  -- 'webhook' (URL), 'email' (address) or 'log'
+  delivery_method TEXT NOT NULL DEFAULT 'log',
+  delivery_target TEXT NULL,
+  
+  -- Signs webhook deliveries, shown to the client once
+  webhook_secret TEXT NULL,
+  
+  -- listing_history rows up to this (change_xid, id) position have been evaluated
+  last_history_xid XID8 NOT NULL DEFAULT '0',
+  last_history_id BIGINT NOT NULL DEFAULT 0,
+  last_evaluated_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+-- Alerts produced for saved searches, one per saved search and listing_history entry
+CREATE TABLE IF NOT EXISTS saved_search_alerts (
+  id BIGSERIAL PRIMARY KEY,
+  saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  listing_id TEXT NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  history_id BIGINT NOT NULL REFERENCES listing_history(id) ON DELETE CASCADE,
+  alert_type TEXT NOT NULL,
+  old_price NUMERIC NULL,
+  new_price NUMERIC NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  
+  -- Delivery through the saved search's delivery method
+  delivered_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  delivery_attempts INTEGER DEFAULT 0,
+  delivery_error TEXT NULL,
+  
+  UNIQUE (saved_search_id, history_id)
+);
+
+-- Outbound webhook endpoints for listing events
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  
+  -- Key for the HMAC-SHA256 signature of each delivery
+  secret TEXT NOT NULL,
+  
+  -- Event types to send, empty means all
+  event_types TEXT[] NOT NULL DEFAULT '{}',
+  description TEXT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+-- One row per event and subscription, doubles as the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  listing_id TEXT NULL,
+  payload JSONB NOT NULL,
+  
+  -- 'pending', 'delivered' or 'failed' (gave up after WEBHOOK_MAX_ATTEMPTS)
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  last_attempt_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  response_status INTEGER NULL,
+  last_error TEXT NULL,
+  delivered_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  
+  UNIQUE (subscription_id, event_id)
+);
+
 -- Create efficient indices for common query patterns
 -- Geographic queries
 CREATE INDEX idx_listings_geo ON listings USING gist (point(longitude, latitude));
+CREATE INDEX idx_listings_geography ON listings USING gist ((ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography));
 CREATE INDEX idx_listings_city ON listings(city);
 CREATE INDEX idx_listings_province ON listings(province);
 CREATE INDEX idx_listings_postal_code ON listings(postal_code);
@@ -154,13 +358,46 @@ CREATE INDEX idx_listings_status_price ON listings(standard_status, list_price);
 -- Status and update time queries
 CREATE INDEX idx_listings_status ON listings(standard_status);
 CREATE INDEX idx_listings_modification_timestamp ON listings(modification_timestamp);
+CREATE INDEX idx_listings_removed_at ON listings(removed_at);
+
+-- Full-text search, used by both the search condition and the ranking
+CREATE INDEX idx_listings_search_vector ON listings USING gin (search_vector);
+
+-- Fuzzy autocomplete
+CREATE INDEX idx_listings_city_trgm ON listings USING gin (city gin_trgm_ops);
+CREATE INDEX idx_listings_neighbourhood_trgm ON listings USING gin (neighbourhood gin_trgm_ops);
+CREATE INDEX idx_listings_street_name_trgm ON listings USING gin (street_name gin_trgm_ops);
+CREATE INDEX idx_listings_unparsed_address_trgm ON listings USING gin (unparsed_address gin_trgm_ops);
+CREATE INDEX idx_listings_id_trgm ON listings USING gin (id gin_trgm_ops);
+CREATE INDEX idx_listings_mls_number_trgm ON listings USING gin (mls_number gin_trgm_ops);
+
+-- MLS number lookups
+CREATE INDEX idx_listings_mls_number ON listings(mls_number);
 
--- Full-text search on description
-CREATE INDEX idx_listings_description_fts ON listings USING gin (to_tsvector('english', public_remarks));
+-- Changes feed, paged by (change_xid, id)
+CREATE INDEX idx_listings_change_xid_id ON listings(change_xid, id);
 
 -- Media queries
 CREATE INDEX idx_listing_media_listing_id ON listing_media(listing_id);
 CREATE INDEX idx_listing_media_preferred ON listing_media(listing_id, is_preferred);
+CREATE INDEX idx_listing_media_unmirrored ON listing_media(modification_timestamp) WHERE mirrored_at IS NULL;
+CREATE INDEX idx_listings_media_unreconciled ON listings(media_change_timestamp) WHERE media_reconciled_at IS DISTINCT FROM media_change_timestamp;
+
+-- History queries
+CREATE INDEX idx_listing_history_listing ON listing_history(listing_id, modification_timestamp DESC);
+CREATE INDEX idx_listing_history_changed_fields ON listing_history USING gin (changed_fields);
+CREATE INDEX idx_listing_history_change_xid_id ON listing_history(change_xid, id);
+
+-- Saved search alerts
+CREATE INDEX idx_saved_searches_api_key ON saved_searches(api_key_id);
+CREATE INDEX idx_saved_search_alerts_undelivered ON saved_search_alerts(saved_search_id) WHERE delivered_at IS NULL;
+
+-- Webhook deliveries waiting for their next attempt
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Dead-letter retries
+CREATE INDEX idx_replication_failures_unresolved ON replication_failures(last_failed_at) WHERE resolved_at IS NULL;
+CREATE INDEX idx_media_replication_failures_unresolved ON media_replication_failures(listing_id) WHERE resolved_at IS NULL;
 
 -- Insert initial replication state
 INSERT INTO replication_state (resource_name, last_timestamp, last_key)
@@ -176,6 +413,19 @@ BEGIN
 END;
 $$ LANGUAGE 'plpgsql';
 
+-- Record the writing transaction on every listing update, inserts get it from the column default
+CREATE OR REPLACE FUNCTION update_listing_change_xid()
+RETURNS TRIGGER AS $$
+BEGIN
+   NEW.change_xid = pg_current_xact_id();
+   RETURN NEW;
+END;
+$$ LANGUAGE 'plpgsql';
+
+CREATE TRIGGER update_listings_change_xid
+BEFORE UPDATE ON listings
+FOR EACH ROW EXECUTE PROCEDURE update_listing_change_xid();
+
 -- Apply triggers to both tables
 CREATE TRIGGER update_listings_timestamp
 BEFORE UPDATE ON listings
@@ -0,0 +1,20 @@
+-- Migration to keep a change timeline for every replicated listing
+CREATE TABLE IF NOT EXISTS "listing_history" (
+  "id" bigserial PRIMARY KEY NOT NULL,
+  "listing_id" text NOT NULL REFERENCES "listings"("id") ON DELETE CASCADE,
+  "change_type" text NOT NULL,
+  "changed_fields" text[] NOT NULL,
+  "old_values" jsonb,
+  "new_values" jsonb,
+  "modification_timestamp" timestamp,
+  "recorded_at" timestamp DEFAULT now()
+);
+
+-- Timeline lookups per listing, newest first
+CREATE INDEX IF NOT EXISTS idx_listing_history_listing
+ON "listing_history" ("listing_id", "modification_timestamp" DESC);
+
+-- Filtering by field, e.g. price changes only
+CREATE INDEX IF NOT EXISTS idx_listing_history_changed_fields
+ON "listing_history"
+USING GIN ("changed_fields");
@@ -0,0 +1,6 @@
+-- Migration to soft-delete listings that disappear from the AMPRE feed
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "removed_at" timestamp;
+
+-- Most queries only look at live listings
+CREATE INDEX IF NOT EXISTS idx_listings_removed_at
+ON "listings" ("removed_at");
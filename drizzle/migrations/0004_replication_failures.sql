@@ -0,0 +1,15 @@
+-- Migration to dead-letter listings that fail to replicate
+CREATE TABLE IF NOT EXISTS "replication_failures" (
+  "listing_key" text PRIMARY KEY NOT NULL,
+  "modification_timestamp" timestamp,
+  "error_message" text,
+  "attempts" integer DEFAULT 1,
+  "first_failed_at" timestamp DEFAULT now(),
+  "last_failed_at" timestamp DEFAULT now(),
+  "resolved_at" timestamp
+);
+
+-- Unresolved failures are picked up by --mode retry-failed
+CREATE INDEX IF NOT EXISTS idx_replication_failures_unresolved
+ON "replication_failures" ("last_failed_at")
+WHERE "resolved_at" IS NULL;
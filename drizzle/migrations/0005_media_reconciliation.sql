@@ -0,0 +1,17 @@
+-- Migration to track which listings need their full media set reconciled
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "media_change_timestamp" timestamp with time zone;
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "media_reconciled_at" timestamp with time zone;
+
+-- Backfill from the raw AMPRE payload, new versions are mapped during replication
+UPDATE "listings"
+SET "media_change_timestamp" = GREATEST(
+  ("raw"->>'MediaChangeTimestamp')::timestamptz,
+  ("raw"->>'PhotosChangeTimestamp')::timestamptz,
+  ("raw"->>'DocumentsChangeTimestamp')::timestamptz
+)
+WHERE "media_change_timestamp" IS NULL;
+
+-- Listings whose media changed since the last reconciliation
+CREATE INDEX IF NOT EXISTS idx_listings_media_unreconciled
+ON "listings" ("media_change_timestamp")
+WHERE "media_reconciled_at" IS DISTINCT FROM "media_change_timestamp";
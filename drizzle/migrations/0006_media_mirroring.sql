@@ -0,0 +1,12 @@
+-- Migration to track local mirrors of listing media
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "local_path" text;
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "content_hash" text;
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "variants" jsonb;
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "mirrored_at" timestamp;
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "mirror_attempts" integer DEFAULT 0;
+ALTER TABLE "listing_media" ADD COLUMN IF NOT EXISTS "mirror_error" text;
+
+-- Media the mirroring worker has not picked up yet
+CREATE INDEX IF NOT EXISTS idx_listing_media_unmirrored
+ON "listing_media" ("modification_timestamp")
+WHERE "mirrored_at" IS NULL;
@@ -0,0 +1,21 @@
+-- Migration to add API keys with scopes, rate limits and daily usage
+CREATE TABLE IF NOT EXISTS "api_keys" (
+  "id" serial PRIMARY KEY NOT NULL,
+  "name" text NOT NULL,
+  "key_prefix" text NOT NULL,
+  "key_hash" text NOT NULL,
+  "scopes" text[] DEFAULT ARRAY['search'] NOT NULL,
+  "rate_limit_per_minute" integer DEFAULT 60,
+  "rate_limit_per_day" integer,
+  "created_at" timestamp DEFAULT now(),
+  "last_used_at" timestamp,
+  "revoked_at" timestamp,
+  CONSTRAINT "api_keys_key_hash_unique" UNIQUE("key_hash")
+);
+
+CREATE TABLE IF NOT EXISTS "api_key_usage" (
+  "api_key_id" integer NOT NULL REFERENCES "api_keys"("id") ON DELETE CASCADE,
+  "usage_date" date NOT NULL,
+  "request_count" bigint DEFAULT 0 NOT NULL,
+  PRIMARY KEY ("api_key_id", "usage_date")
+);
@@ -0,0 +1,7 @@
+-- Migration to index listing points as geography for radius search in meters
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- Must match LISTING_GEOGRAPHY_SQL in api/search-filters.js to be used by the planner
+CREATE INDEX IF NOT EXISTS idx_listings_geography
+ON "listings"
+USING GIST ((ST_SetSRID(ST_MakePoint("longitude", "latitude"), 4326)::geography));
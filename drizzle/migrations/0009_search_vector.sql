@@ -0,0 +1,23 @@
+-- Migration to store a weighted full-text document on listings.
+-- Replaces the expression index from 0001_spatial_indexes.sql, which ranking could not use.
+-- standardized_address is no longer searched, it is not populated by replication.
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "search_vector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english',
+    COALESCE("unparsed_address", '') || ' ' ||
+    COALESCE("city", '') || ' ' ||
+    COALESCE("province", '') || ' ' ||
+    COALESCE("postal_code", '')
+  ), 'A') ||
+  setweight(to_tsvector('english',
+    COALESCE("property_type", '') || ' ' ||
+    COALESCE("property_sub_type", '')
+  ), 'B') ||
+  setweight(to_tsvector('english', COALESCE("public_remarks", '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_listings_search_vector
+ON "listings"
+USING GIN ("search_vector");
+
+DROP INDEX IF EXISTS idx_listings_text_search;
+DROP INDEX IF EXISTS idx_listings_description_fts;
@@ -0,0 +1,17 @@
+-- Migration for typo-tolerant autocomplete with trigram indexes
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Neighbourhood (AMPRE CityRegion), mapped during replication
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "neighbourhood" text;
+
+-- Backfill from the raw AMPRE payload
+UPDATE "listings"
+SET "neighbourhood" = "raw"->>'CityRegion'
+WHERE "neighbourhood" IS NULL AND "raw"->>'CityRegion' IS NOT NULL;
+
+-- Support the % (similarity) and <% (word similarity) operators used by /api/suggest
+CREATE INDEX IF NOT EXISTS idx_listings_city_trgm ON "listings" USING GIN ("city" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_listings_neighbourhood_trgm ON "listings" USING GIN ("neighbourhood" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_listings_street_name_trgm ON "listings" USING GIN ("street_name" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_listings_unparsed_address_trgm ON "listings" USING GIN ("unparsed_address" gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_listings_id_trgm ON "listings" USING GIN ("id" gin_trgm_ops);
@@ -0,0 +1,11 @@
+-- Migration to look up listings by MLS number (AMPRE ListingId)
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "mls_number" text;
+
+-- Backfill from the raw AMPRE payload, new versions are mapped during replication
+UPDATE "listings"
+SET "mls_number" = "raw"->>'ListingId'
+WHERE "mls_number" IS NULL AND "raw"->>'ListingId' IS NOT NULL;
+
+-- Exact lookups from /api/search and /api/listings/by-mls, prefix matches from /api/suggest
+CREATE INDEX IF NOT EXISTS idx_listings_mls_number ON "listings" ("mls_number");
+CREATE INDEX IF NOT EXISTS idx_listings_mls_number_trgm ON "listings" USING GIN ("mls_number" gin_trgm_ops);
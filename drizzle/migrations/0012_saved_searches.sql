@@ -0,0 +1,35 @@
+-- Migration to add saved searches and the alerts produced for them
+CREATE TABLE IF NOT EXISTS "saved_searches" (
+  "id" serial PRIMARY KEY NOT NULL,
+  "api_key_id" integer NOT NULL REFERENCES "api_keys"("id") ON DELETE CASCADE,
+  "name" text NOT NULL,
+  "params" jsonb NOT NULL,
+  "alert_types" text[] DEFAULT ARRAY['new_listing', 'price_drop'] NOT NULL,
+  "delivery_method" text DEFAULT 'log' NOT NULL,
+  "delivery_target" text,
+  "last_history_id" bigint DEFAULT 0 NOT NULL,
+  "last_evaluated_at" timestamp,
+  "created_at" timestamp DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS "saved_search_alerts" (
+  "id" bigserial PRIMARY KEY NOT NULL,
+  "saved_search_id" integer NOT NULL REFERENCES "saved_searches"("id") ON DELETE CASCADE,
+  "listing_id" text NOT NULL REFERENCES "listings"("id") ON DELETE CASCADE,
+  "history_id" bigint NOT NULL REFERENCES "listing_history"("id") ON DELETE CASCADE,
+  "alert_type" text NOT NULL,
+  "old_price" numeric,
+  "new_price" numeric,
+  "created_at" timestamp DEFAULT now(),
+  "delivered_at" timestamp,
+  "delivery_attempts" integer DEFAULT 0,
+  "delivery_error" text,
+  CONSTRAINT "saved_search_alerts_search_history_unique" UNIQUE("saved_search_id", "history_id")
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_api_key ON "saved_searches" ("api_key_id");
+
+-- Alerts waiting for delivery
+CREATE INDEX IF NOT EXISTS idx_saved_search_alerts_undelivered
+ON "saved_search_alerts" ("saved_search_id")
+WHERE "delivered_at" IS NULL;
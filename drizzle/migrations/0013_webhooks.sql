@@ -0,0 +1,33 @@
+-- Migration to add outbound webhook subscriptions and their delivery log
+CREATE TABLE IF NOT EXISTS "webhook_subscriptions" (
+  "id" serial PRIMARY KEY NOT NULL,
+  "url" text NOT NULL,
+  "secret" text NOT NULL,
+  "event_types" text[] DEFAULT '{}' NOT NULL,
+  "description" text,
+  "active" boolean DEFAULT true NOT NULL,
+  "created_at" timestamp DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS "webhook_deliveries" (
+  "id" bigserial PRIMARY KEY NOT NULL,
+  "subscription_id" integer NOT NULL REFERENCES "webhook_subscriptions"("id") ON DELETE CASCADE,
+  "event_id" text NOT NULL,
+  "event_type" text NOT NULL,
+  "listing_id" text,
+  "payload" jsonb NOT NULL,
+  "status" text DEFAULT 'pending' NOT NULL,
+  "attempts" integer DEFAULT 0 NOT NULL,
+  "next_attempt_at" timestamp DEFAULT now(),
+  "last_attempt_at" timestamp,
+  "response_status" integer,
+  "last_error" text,
+  "delivered_at" timestamp,
+  "created_at" timestamp DEFAULT now(),
+  CONSTRAINT "webhook_deliveries_subscription_event_unique" UNIQUE("subscription_id", "event_id")
+);
+
+-- Deliveries waiting for their next attempt
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+ON "webhook_deliveries" ("next_attempt_at")
+WHERE "status" = 'pending';
@@ -0,0 +1,2 @@
+-- Migration for the /api/changes feed, which pages listings by (updated_at, id)
+CREATE INDEX IF NOT EXISTS idx_listings_updated_at_id ON "listings" ("updated_at", "id");
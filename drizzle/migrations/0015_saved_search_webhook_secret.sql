@@ -0,0 +1,7 @@
+-- Migration to sign saved search webhook alerts with a per-search secret
+ALTER TABLE "saved_searches" ADD COLUMN IF NOT EXISTS "webhook_secret" text;
+
+-- Webhook saved searches created before signing get a secret, owners fetch it by rotating
+UPDATE "saved_searches"
+SET "webhook_secret" = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')
+WHERE "delivery_method" = 'webhook' AND "webhook_secret" IS NULL;
@@ -0,0 +1,16 @@
+-- Migration to dead-letter media that arrives before its listing instead of dropping it
+CREATE TABLE IF NOT EXISTS "media_replication_failures" (
+  "media_key" text PRIMARY KEY NOT NULL,
+  "listing_id" text NOT NULL,
+  "media" jsonb NOT NULL,
+  "error_message" text,
+  "attempts" integer DEFAULT 1,
+  "first_failed_at" timestamp DEFAULT now(),
+  "last_failed_at" timestamp DEFAULT now(),
+  "resolved_at" timestamp
+);
+
+-- Unresolved media is replayed at the end of each media run once its listing exists
+CREATE INDEX IF NOT EXISTS idx_media_replication_failures_unresolved
+ON "media_replication_failures" ("listing_id")
+WHERE "resolved_at" IS NULL;
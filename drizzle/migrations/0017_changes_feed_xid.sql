@@ -0,0 +1,20 @@
+-- Migration to order the /api/changes feed by writing transaction instead of updated_at.
+-- updated_at is the transaction start time, so a long transaction could commit rows behind
+-- a token a client already holds. change_xid is only read once every older transaction has ended.
+ALTER TABLE "listings" ADD COLUMN IF NOT EXISTS "change_xid" xid8 DEFAULT pg_current_xact_id() NOT NULL;
+
+CREATE OR REPLACE FUNCTION update_listing_change_xid()
+RETURNS TRIGGER AS $$
+BEGIN
+   NEW.change_xid = pg_current_xact_id();
+   RETURN NEW;
+END;
+$$ LANGUAGE 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_listings_change_xid ON "listings";
+CREATE TRIGGER update_listings_change_xid
+BEFORE UPDATE ON "listings"
+FOR EACH ROW EXECUTE PROCEDURE update_listing_change_xid();
+
+CREATE INDEX IF NOT EXISTS idx_listings_change_xid_id ON "listings" ("change_xid", "id");
+DROP INDEX IF EXISTS idx_listings_updated_at_id;
@@ -0,0 +1,18 @@
+-- Migration to read listing_history in commit order for saved search alerts.
+-- Ids are handed out at insert time, so a transaction that commits late can add entries below
+-- an evaluation cursor that already passed them. Entries are now read by (change_xid, id),
+-- and only once every older transaction has ended.
+ALTER TABLE "listing_history" ADD COLUMN IF NOT EXISTS "change_xid" xid8 DEFAULT pg_current_xact_id() NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_listing_history_change_xid_id ON "listing_history" ("change_xid", "id");
+
+ALTER TABLE "saved_searches" ADD COLUMN IF NOT EXISTS "last_history_xid" xid8 DEFAULT '0' NOT NULL;
+
+-- Existing cursors point at an id, continue from the transaction of that entry
+UPDATE "saved_searches" s
+SET "last_history_xid" = COALESCE((
+  SELECT h.change_xid FROM "listing_history" h
+  WHERE h.id <= s.last_history_id
+  ORDER BY h.id DESC
+  LIMIT 1
+), '0')
+WHERE s.last_history_xid = '0' AND s.last_history_id > 0;
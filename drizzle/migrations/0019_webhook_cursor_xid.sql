@@ -0,0 +1,10 @@
+-- Migration to move the webhook event cursor to the (change_xid, id) position of listing_history.
+-- The cursor used to be a plain listing_history id, continue from the transaction of that entry.
+UPDATE "replication_state" r
+SET "last_key" = COALESCE((
+  SELECT h.change_xid::text FROM "listing_history" h
+  WHERE h.id <= r.last_key::bigint
+  ORDER BY h.id DESC
+  LIMIT 1
+), '0') || ':' || r.last_key
+WHERE r.resource_name = 'Webhooks' AND r.last_key ~ '^[0-9]+$';
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * This script manages API keys for the property API.
+ *
+ * Usage:
+ *   node scripts/manage-api-keys.js <command> [options]
+ *
+ * Commands:
+ *   create --name=<name> [--scopes=search] [--per-minute=60] [--per-day=10000]
+ *   list
+ *   revoke <id>
+ *   usage [id] [--days=30]
+ */
+
+import dotenv from 'dotenv';
+import { createApiKey, listApiKeys, revokeApiKey, getApiKeyUsage } from '../db/index.js';
+import { SCOPES, generateApiKey } from '../api/auth.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Parse command line arguments
+function parseArgs() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = {
+    command,
+    id: null,
+    name: null,
+    scopes: ['search'],
+    perMinute: 60,
+    perDay: null,
+    days: 30
+  };
+
+  for (const arg of args) {
+    if (arg === '--help') {
+      options.command = 'help';
+    } else if (arg.startsWith('--name=')) {
+      options.name = arg.split('=')[1];
+    } else if (arg.startsWith('--scopes=')) {
+      options.scopes = arg.split('=')[1].split(',').map(scope => scope.trim()).filter(Boolean);
+    } else if (arg.startsWith('--per-minute=')) {
+      options.perMinute = parseLimit(arg.split('=')[1]);
+    } else if (arg.startsWith('--per-day=')) {
+      options.perDay = parseLimit(arg.split('=')[1]);
+    } else if (arg.startsWith('--days=')) {
+      options.days = parseInt(arg.split('=')[1], 10);
+    } else if (!arg.startsWith('--')) {
+      options.id = parseInt(arg, 10);
+    }
+  }
+
+  return options;
+}
+
+// "unlimited" or 0 disables a limit
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  return value === 'unlimited' || !limit ? null : limit;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+API Key Management
+
+Keys are stored hashed, the plain key is only shown once when it is created.
+Scopes: ${SCOPES.join(', ')} (each scope includes the ones before it).
+
+Usage:
+  node scripts/manage-api-keys.js <command> [options]
+
+Commands:
+  create --name=<name>   Create a key
+    --scopes=search        Comma separated scopes (default: search)
+    --per-minute=60        Requests per minute, "unlimited" to disable
+    --per-day=10000        Requests per day (default: unlimited)
+  list                   List all keys
+  revoke <id>            Revoke a key
+  usage [id]             Show daily request counts
+    --days=30              Number of days to show
+  `);
+}
+
+// Main function
+async function main() {
+  const options = parseArgs();
+
+  switch (options.command) {
+    case 'create': {
+      if (!options.name) {
+        throw new Error('--name is required');
+      }
+
+      const invalidScopes = options.scopes.filter(scope => !SCOPES.includes(scope));
+      if (invalidScopes.length > 0) {
+        throw new Error(`Unknown scopes: ${invalidScopes.join(', ')}`);
+      }
+
+      const { key, keyPrefix, keyHash } = generateApiKey();
+      const apiKey = await createApiKey({
+        name: options.name,
+        keyPrefix,
+        keyHash,
+        scopes: options.scopes,
+        rateLimitPerMinute: options.perMinute,
+        rateLimitPerDay: options.perDay
+      });
+
+      logger.info(`Created API key ${apiKey.id} (${apiKey.name}) with scopes ${apiKey.scopes.join(', ')}`);
+      console.log(`\nAPI key for ${apiKey.name} (store it now, it cannot be shown again):\n\n  ${key}\n`);
+      break;
+    }
+
+    case 'list': {
+      const apiKeys = await listApiKeys();
+      console.table(apiKeys.map(apiKey => ({
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.key_prefix,
+        scopes: apiKey.scopes.join(','),
+        per_minute: apiKey.rate_limit_per_minute ?? 'unlimited',
+        per_day: apiKey.rate_limit_per_day ?? 'unlimited',
+        last_used_at: apiKey.last_used_at,
+        revoked: apiKey.revoked_at ? 'yes' : 'no'
+      })));
+      break;
+    }
+
+    case 'revoke': {
+      if (!options.id) {
+        throw new Error('Key id is required');
+      }
+
+      const revoked = await revokeApiKey(options.id);
+      console.log(revoked ? `Revoked API key ${options.id}` : `API key ${options.id} not found or already revoked`);
+      break;
+    }
+
+    case 'usage': {
+      const usage = await getApiKeyUsage({ apiKeyId: options.id, days: options.days });
+      console.table(usage.map(row => ({
+        id: row.api_key_id,
+        name: row.name,
+        date: row.usage_date,
+        requests: parseInt(row.request_count, 10)
+      })));
+      break;
+    }
+
+    default:
+      showHelp();
+  }
+
+  process.exit(0);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
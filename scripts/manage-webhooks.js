@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * This script manages outbound webhook subscriptions for listing events.
+ *
+ * Usage:
+ *   node scripts/manage-webhooks.js <command> [options]
+ *
+ * Commands:
+ *   create --url=<url> [--events=listing.created,listing.price_changed] [--description=<text>]
+ *   list
+ *   enable <id>
+ *   disable <id>
+ *   delete <id>
+ *   deliveries [id] [--status=failed] [--limit=50]
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  setWebhookSubscriptionActive,
+  deleteWebhookSubscription,
+  getWebhookDeliveries
+} from '../db/index.js';
+import { WEBHOOK_EVENTS } from '../services/webhooks.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Parse command line arguments
+function parseArgs() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = {
+    command,
+    id: null,
+    url: null,
+    events: [],
+    description: null,
+    status: null,
+    limit: 50
+  };
+
+  for (const arg of args) {
+    if (arg === '--help') {
+      options.command = 'help';
+    } else if (arg.startsWith('--url=')) {
+      options.url = arg.slice('--url='.length);
+    } else if (arg.startsWith('--events=')) {
+      options.events = arg.split('=')[1].split(',').map(event => event.trim()).filter(Boolean);
+    } else if (arg.startsWith('--description=')) {
+      options.description = arg.slice('--description='.length);
+    } else if (arg.startsWith('--status=')) {
+      options.status = arg.split('=')[1];
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1], 10) || 50;
+    } else if (!arg.startsWith('--')) {
+      options.id = parseInt(arg, 10);
+    }
+  }
+
+  return options;
+}
+
+// Only http(s) endpoints can receive deliveries
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Webhook Management
+
+Each delivery is a JSON POST signed with the subscription's secret, which is only shown
+once when the subscription is created.
+Events: ${WEBHOOK_EVENTS.join(', ')}
+
+Usage:
+  node scripts/manage-webhooks.js <command> [options]
+
+Commands:
+  create --url=<url>     Create a subscription
+    --events=<list>        Comma separated events (default: all)
+    --description=<text>   Free-form note
+  list                   List subscriptions with delivery counts
+  enable <id>            Resume a subscription
+  disable <id>           Pause a subscription, no events are queued while paused
+  delete <id>            Delete a subscription and its delivery log
+  deliveries [id]        Show the latest deliveries
+    --status=failed        Only pending, delivered or failed deliveries
+    --limit=50             Number of deliveries to show
+  `);
+}
+
+// Main function
+async function main() {
+  const options = parseArgs();
+
+  switch (options.command) {
+    case 'create': {
+      if (!options.url || !isValidUrl(options.url)) {
+        throw new Error('--url must be an http(s) URL');
+      }
+
+      const invalidEvents = options.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (invalidEvents.length > 0) {
+        throw new Error(`Unknown events: ${invalidEvents.join(', ')}`);
+      }
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      const subscription = await createWebhookSubscription({
+        url: options.url,
+        secret,
+        eventTypes: options.events,
+        description: options.description
+      });
+
+      logger.info(`Created webhook subscription ${subscription.id} for ${subscription.url}`);
+      console.log(`\nSigning secret for webhook ${subscription.id} (store it now, it cannot be shown again):\n\n  ${secret}\n`);
+      break;
+    }
+
+    case 'list': {
+      const subscriptions = await listWebhookSubscriptions();
+      console.table(subscriptions.map(subscription => ({
+        id: subscription.id,
+        url: subscription.url,
+        events: subscription.event_types.length > 0 ? subscription.event_types.join(',') : 'all',
+        active: subscription.active ? 'yes' : 'no',
+        pending: parseInt(subscription.pending, 10),
+        delivered: parseInt(subscription.delivered, 10),
+        failed: parseInt(subscription.failed, 10),
+        description: subscription.description
+      })));
+      break;
+    }
+
+    case 'enable':
+    case 'disable': {
+      if (!options.id) {
+        throw new Error('Subscription id is required');
+      }
+
+      const updated = await setWebhookSubscriptionActive(options.id, options.command === 'enable');
+      console.log(updated ? `Webhook subscription ${options.id} ${options.command}d` : `Webhook subscription ${options.id} not found`);
+      break;
+    }
+
+    case 'delete': {
+      if (!options.id) {
+        throw new Error('Subscription id is required');
+      }
+
+      const deleted = await deleteWebhookSubscription(options.id);
+      console.log(deleted ? `Deleted webhook subscription ${options.id}` : `Webhook subscription ${options.id} not found`);
+      break;
+    }
+
+    case 'deliveries': {
+      if (options.status && !DELIVERY_STATUSES.includes(options.status)) {
+        throw new Error(`--status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+
+      const deliveries = await getWebhookDeliveries({
+        subscriptionId: options.id,
+        status: options.status,
+        limit: options.limit
+      });
+      console.table(deliveries.map(delivery => ({
+        id: delivery.id,
+        subscription: delivery.subscription_id,
+        event: delivery.event_type,
+        listing: delivery.listing_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        response: delivery.response_status,
+        error: delivery.last_error,
+        next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+        created_at: delivery.created_at
+      })));
+      break;
+    }
+
+    default:
+      showHelp();
+  }
+
+  process.exit(0);
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
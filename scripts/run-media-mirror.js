@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * This script mirrors listing media to the configured storage backend and
+ * generates resized variants for each image.
+ *
+ * Usage:
+ *   node scripts/run-media-mirror.js [options]
+ *
+ * Options:
+ *   --limit=1000           Maximum number of media items to mirror in this run
+ *   --continuous           Keep running, mirroring new media every MEDIA_MIRROR_INTERVAL_MINUTES
+ *   --help                 Show this help message
+ */
+
+import dotenv from 'dotenv';
+import { mirrorPendingMedia } from '../services/media-mirror.js';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    limit: Infinity,
+    continuous: false,
+    intervalMinutes: parseInt(process.env.MEDIA_MIRROR_INTERVAL_MINUTES || '15', 10)
+  };
+
+  for (const arg of args) {
+    if (arg === '--help') {
+      showHelp();
+      process.exit(0);
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1], 10);
+    } else if (arg === '--continuous') {
+      options.continuous = true;
+    }
+  }
+
+  return options;
+}
+
+// Show help message
+function showHelp() {
+  console.log(`
+Media Mirroring Script
+
+This script downloads listing media to the configured storage backend
+(MEDIA_STORAGE_DRIVER) and generates resized variants (MEDIA_MIRROR_VARIANTS).
+
+Usage:
+  node scripts/run-media-mirror.js [options]
+
+Options:
+  --limit=1000           Maximum number of media items to mirror in this run
+  --continuous           Keep running, mirroring new media every MEDIA_MIRROR_INTERVAL_MINUTES
+  --help                 Show this help message
+  `);
+}
+
+// Run a single mirroring pass and print the results
+async function runOnce(options) {
+  console.time('Media Mirroring');
+  const result = await mirrorPendingMedia({ limit: options.limit });
+  console.timeEnd('Media Mirroring');
+
+  console.log('\nMedia Mirroring Results:');
+  console.log(`- Media mirrored: ${result.mirrored}`);
+  console.log(`- Media unchanged: ${result.unchanged}`);
+  console.log(`- Media failed: ${result.failed}`);
+  console.log(`- Deleted media purged: ${result.purged}`);
+}
+
+// Main function
+async function main() {
+  const options = parseArgs();
+
+  logger.info('Starting media mirroring with options:');
+  logger.info(`- Limit: ${options.limit === Infinity ? 'none' : options.limit}`);
+  logger.info(`- Continuous: ${options.continuous ? `every ${options.intervalMinutes} minutes` : 'no'}`);
+
+  if (!options.continuous) {
+    try {
+      await runOnce(options);
+      process.exit(0);
+    } catch (error) {
+      logger.error(`Media mirroring failed: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Keep going after a failed pass, the next one picks up where it left off
+  while (true) {
+    try {
+      await runOnce(options);
+    } catch (error) {
+      logger.error(`Media mirroring failed: ${error.message}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, options.intervalMinutes * 60 * 1000));
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -1,9 +1,10 @@
-import { replicateProperties, replicateMedia } from '../services/sequential-replication.js';
-import { getPropertiesWithMediaChanges, updateMediaForProperties } from '../services/ampre-api.js';
-import { getReplicationState, updateReplicationState } from '../db/index.js';
+import { replicateProperties, replicateMedia, reconcileRemovedListings, retryFailedProperties } from '../services/sequential-replication.js';
+import { getReplicationState } from '../db/index.js';
 import { logger } from '../utils/logger.js';
 import dotenv from 'dotenv';
 import { runAddressStandardization } from './standardize-addresses.js';
+import { processSavedSearchAlerts } from '../services/saved-search-alerts.js';
+import { processWebhooks } from '../services/webhooks.js';
 
 dotenv.config();
 
@@ -17,12 +18,14 @@ process.env.SYNC_INTERVAL_MINUTES = process.env.SYNC_INTERVAL_MINUTES || '5';
 const SYNC_MODES = {
   FULL: 'full',              // Complete replication of properties and media
   INCREMENTAL: 'incremental', // Standard incremental updates based on ModificationTimestamp
-  MEDIA_ONLY: 'media-only'    // Only update media for properties with media changes
+  MEDIA_ONLY: 'media-only',   // Only replicate media changed since the Media checkpoint
+  RECONCILE: 'reconcile',     // Soft-delete listings that are no longer in the AMPRE feed
+  RETRY_FAILED: 'retry-failed' // Re-fetch dead-lettered properties one by one
 };
 
 /**
  * Runs the optimized replication process with a specified mode
- * @param {string} mode - The sync mode (full, incremental, media-only)
+ * @param {string} mode - The sync mode (full, incremental, media-only, reconcile, retry-failed)
  */
 async function runOptimizedReplication(mode = SYNC_MODES.INCREMENTAL) {
   try {
@@ -34,6 +37,8 @@ async function runOptimizedReplication(mode = SYNC_MODES.INCREMENTAL) {
     const startTime = Date.now();
     let propertyResult = { processed: 0, duration: 0, rate: 0 };
     let mediaResult = { mediaProcessed: 0, listingsWithMedia: 0, duration: 0, rate: 0 };
+    let reconcileResult = null;
+    let retryResult = null;
     
     // Get current states
     const propertyState = await getReplicationState('Property');
@@ -51,32 +56,18 @@ async function runOptimizedReplication(mode = SYNC_MODES.INCREMENTAL) {
       // Standard incremental update based on ModificationTimestamp
       propertyResult = await replicateProperties();
       
-      // Process media only for properties that were updated
-      if (propertyResult.processed > 0) {
-        mediaResult = await replicateMedia();
-      }
+      // Media has its own checkpoint, changes there don't touch the property ModificationTimestamp
+      mediaResult = await replicateMedia();
     }
     else if (mode === SYNC_MODES.MEDIA_ONLY) {
-      // Special mode for updating only media based on MediaChangeTimestamp
+      // Special mode for updating only media, replicated from the Media resource's own
+      // ModificationTimestamp/MediaKey checkpoint
       // This is important as per AMPRE docs: MediaChangeTimestamp DOES NOT change ModificationTimestamp
       const mediaChangeStart = Date.now();
       console.log('Starting media-only replication based on media change timestamps...');
       
       try {
-        // Find properties with media changes (based on PhotosChangeTimestamp, DocumentsChangeTimestamp, or MediaChangeTimestamp)
-        const propertiesWithMediaChanges = await getPropertiesWithMediaChanges();
-        
-        if (propertiesWithMediaChanges.length > 0) {
-          console.log(`Found ${propertiesWithMediaChanges.length} properties with media changes`);
-          
-          // Process media updates for these properties
-          mediaResult = await updateMediaForProperties(propertiesWithMediaChanges);
-          
-          // Update media replication state
-          await updateReplicationState('Media', new Date().toISOString(), '0', mediaResult.mediaProcessed);
-        } else {
-          console.log('No properties with media changes found');
-        }
+        mediaResult = await replicateMedia();
       } catch (error) {
         logger.error('Media-only replication failed:', error);
         console.error('Media-only replication failed:', error);
@@ -85,25 +76,48 @@ async function runOptimizedReplication(mode = SYNC_MODES.INCREMENTAL) {
       const mediaDuration = (Date.now() - mediaChangeStart) / 1000;
       console.log(`Media-only replication completed in ${mediaDuration.toFixed(2)}s`);
     }
+    else if (mode === SYNC_MODES.RECONCILE) {
+      // Compare every upstream ListingKey with our ids and soft-delete the orphans
+      reconcileResult = await reconcileRemovedListings();
+    }
+    else if (mode === SYNC_MODES.RETRY_FAILED) {
+      // Re-fetch listings recorded in the dead-letter table through getPropertyById
+      retryResult = await retryFailedProperties();
+    }
     
     const totalDuration = (Date.now() - startTime) / 1000;
     
     console.log('\n===== Optimized Replication Complete =====');
     console.log(`Total duration: ${totalDuration.toFixed(2)}s`);
     
-    if (mode !== SYNC_MODES.MEDIA_ONLY) {
-      console.log(`\nPhase 1 (Properties):`);
-      console.log(`- Properties processed: ${propertyResult.processed}`);
-      console.log(`- Duration: ${propertyResult.duration.toFixed(2)}s`);
-      console.log(`- Rate: ${propertyResult.rate} properties/sec`);
+    if (mode === SYNC_MODES.RECONCILE) {
+      console.log(`\nDeletion reconciliation:`);
+      console.log(`- Upstream listing keys: ${reconcileResult.upstream}`);
+      console.log(`- Local listings checked: ${reconcileResult.local}`);
+      console.log(`- Listings marked removed: ${reconcileResult.removed}`);
+      console.log(`- Duration: ${reconcileResult.duration.toFixed(2)}s`);
+    } else if (mode === SYNC_MODES.RETRY_FAILED) {
+      console.log(`\nRetry of failed properties:`);
+      console.log(`- Attempted: ${retryResult.attempted}`);
+      console.log(`- Succeeded: ${retryResult.succeeded}`);
+      console.log(`- Not found upstream: ${retryResult.notFound}`);
+      console.log(`- Still failing: ${retryResult.failed}`);
+      console.log(`- Duration: ${retryResult.duration.toFixed(2)}s`);
+    } else {
+      if (mode !== SYNC_MODES.MEDIA_ONLY) {
+        console.log(`\nPhase 1 (Properties):`);
+        console.log(`- Properties processed: ${propertyResult.processed}`);
+        console.log(`- Duration: ${propertyResult.duration.toFixed(2)}s`);
+        console.log(`- Rate: ${propertyResult.rate} properties/sec`);
+      }
+      
+      console.log(`\nPhase 2 (Media):`);
+      console.log(`- Media items processed: ${mediaResult.mediaProcessed}`);
+      console.log(`- Listings with media: ${mediaResult.listingsWithMedia}`);
+      console.log(`- Duration: ${mediaResult.duration.toFixed(2)}s`);
+      console.log(`- Rate: ${mediaResult.rate} media/sec`);
     }
     
-    console.log(`\nPhase 2 (Media):`);
-    console.log(`- Media items processed: ${mediaResult.mediaProcessed}`);
-    console.log(`- Listings with media: ${mediaResult.listingsWithMedia}`);
-    console.log(`- Duration: ${mediaResult.duration.toFixed(2)}s`);
-    console.log(`- Rate: ${mediaResult.rate} media/sec`);
-    
     const totalRecords = propertyResult.processed + mediaResult.mediaProcessed;
     if (totalRecords > 0) {
       // Calculate the potential throughput based on AMPRE limits
@@ -125,10 +139,44 @@ async function runOptimizedReplication(mode = SYNC_MODES.INCREMENTAL) {
       console.log(`Address standardization completed. Processed ${addressStandardizationResult.processed} properties in ${addressStandardizationResult.batches} batches.`);
     }
     
+    // Saved search alerts for the listing changes this cycle recorded. A failure here
+    // must not fail replication, undelivered alerts are retried next cycle.
+    let alertsResult = null;
+    if (mode !== SYNC_MODES.MEDIA_ONLY && process.env.SAVED_SEARCH_ALERTS !== 'false') {
+      try {
+        alertsResult = await processSavedSearchAlerts();
+        const { evaluation, delivery } = alertsResult;
+        console.log(`\nSaved search alerts:`);
+        console.log(`- Saved searches evaluated: ${evaluation.evaluated} (${evaluation.failed} failed)`);
+        console.log(`- New alerts: ${evaluation.alerts}`);
+        console.log(`- Delivered: ${delivery.delivered}, failed: ${delivery.failed}`);
+      } catch (error) {
+        logger.error('Saved search alerts failed:', error);
+      }
+    }
+    
+    // Outbound webhooks, deliveries that fail are retried with backoff on later cycles
+    let webhooksResult = null;
+    if (process.env.WEBHOOKS_ENABLED !== 'false') {
+      try {
+        webhooksResult = await processWebhooks();
+        const { enqueue, dispatch } = webhooksResult;
+        console.log(`\nWebhooks:`);
+        console.log(`- Deliveries queued: ${enqueue.queued}`);
+        console.log(`- Delivered: ${dispatch.delivered}, retrying: ${dispatch.retrying}, failed: ${dispatch.failed}`);
+      } catch (error) {
+        logger.error('Webhook processing failed:', error);
+      }
+    }
+    
     return {
       properties: propertyResult,
       media: mediaResult,
+      reconcile: reconcileResult,
+      retry: retryResult,
       addressStandardization: addressStandardizationResult,
+      alerts: alertsResult,
+      webhooks: webhooksResult,
       duration: totalDuration
     };
   } catch (error) {
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { checkPublicUrl, publicOnlyLookup } from '../utils/network.js';
+import { signPayload } from './webhooks.js';
+
+dotenv.config();
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// One line per alert for plain text messages
+const describeAlert = (alert) => {
+  const address = [alert.address, alert.city].filter(Boolean).join(', ');
+  const label = alert.mls_number ? `${alert.mls_number} ${address}` : address;
+
+  return alert.type === 'price_drop'
+    ? `Price drop: ${label} from ${alert.old_price} to ${alert.new_price}`
+    : `New listing: ${label} at ${alert.new_price ?? alert.list_price}`;
+};
+
+/**
+ * POSTs the alert message as JSON to the saved search's URL, signed with the saved search's
+ * webhook secret like outbound webhooks. Only public addresses are reached, redirects are not followed.
+ */
+export class WebhookAlertTransport {
+  static async validateTarget(target) {
+    const { error } = await checkPublicUrl(target);
+    return !error;
+  }
+
+  async send(target, message, { secret } = {}) {
+    if (!secret) {
+      throw new Error('Saved search has no webhook secret');
+    }
+
+    // Checked again on send, DNS may have changed since the saved search was created
+    const { error } = await checkPublicUrl(target);
+
+    if (error) {
+      throw new Error(`Refusing to deliver to ${target}: ${error}`);
+    }
+
+    const body = JSON.stringify(message);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    await axios.post(target, body, {
+      timeout: WEBHOOK_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(secret, timestamp, body)
+      },
+      lookup: publicOnlyLookup,
+      maxRedirects: 0
+    });
+  }
+}
+
+/**
+ * Emails a summary of the alerts through SMTP_HOST.
+ */
+export class EmailAlertTransport {
+  constructor() {
+    this.from = process.env.ALERT_EMAIL_FROM;
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  static async validateTarget(target) {
+    return typeof target === 'string' && /^[^\s@]+@[^\s@]+$/.test(target);
+  }
+
+  async send(target, message) {
+    const { saved_search: savedSearch, alerts } = message;
+
+    await this.transporter.sendMail({
+      from: this.from,
+      to: target,
+      // The name comes from the API client, keep it to one line
+      subject: `${alerts.length} new alert${alerts.length === 1 ? '' : 's'} for "${savedSearch.name.replace(/[\r\n\t]+/g, ' ').slice(0, 100)}"`,
+      text: alerts.map(describeAlert).join('\n')
+    });
+  }
+}
+
+/**
+ * Appends messages as JSON lines to ALERT_LOG_PATH, or writes them to the log when it is not set.
+ * Meant for local testing.
+ */
+export class LogAlertTransport {
+  constructor(filePath = process.env.ALERT_LOG_PATH) {
+    this.filePath = filePath;
+  }
+
+  static async validateTarget() {
+    return true;
+  }
+
+  async send(target, message) {
+    if (this.filePath) {
+      await fs.appendFile(this.filePath, `${JSON.stringify(message)}\n`);
+      return;
+    }
+
+    for (const alert of message.alerts) {
+      logger.info(`[${message.saved_search.name}] ${describeAlert(alert)}`);
+    }
+  }
+}
+
+// Transports by delivery method. Other channels only need a static async validateTarget(target)
+// and send(target, message, { secret }).
+const ALERT_TRANSPORTS = {
+  webhook: WebhookAlertTransport,
+  email: EmailAlertTransport,
+  log: LogAlertTransport
+};
+
+// Delivery methods a saved search can use
+export const ALERT_DELIVERY_METHODS = Object.keys(ALERT_TRANSPORTS);
+
+// Whether target is a valid destination for the delivery method
+export const isValidDeliveryTarget = async (method, target) => Boolean(await ALERT_TRANSPORTS[method]?.validateTarget(target));
+
+// Delivery methods that reach people outside the API, only for keys with the full scope
+export const PRIVILEGED_DELIVERY_METHODS = ['email'];
+
+// Create the transport for a delivery method
+export const createAlertTransport = (method) => {
+  const Transport = ALERT_TRANSPORTS[method];
+
+  if (!Transport) {
+    throw new Error(`Unsupported alert delivery method: ${method}`);
+  }
+
+  return new Transport();
+};
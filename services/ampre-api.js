@@ -1,7 +1,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.js';
-import { isListingInDatabase, upsertMedia, getReplicationState } from '../db/index.js';
+import { reconcileListingMedia, getMediaChangeTimestamps } from '../db/index.js';
 
 dotenv.config();
 
@@ -97,6 +97,11 @@ const MAX_RETRIES = parseInt(process.env.API_MAX_RETRIES || '5', 10);
 const RETRY_DELAY_BASE = parseInt(process.env.API_RETRY_DELAY || '2000', 10); // 2 seconds
 const MEDIA_TIMEOUT = parseInt(process.env.MEDIA_TIMEOUT || '30000', 10); // 30 seconds for media requests
 
+// Page size when fetching the media of one property, and how many pages we follow before
+// giving up on getting the full set
+const PROPERTY_MEDIA_PAGE_SIZE = Math.min(parseInt(process.env.PROPERTY_MEDIA_PAGE_SIZE || '500', 10), 10000);
+const MAX_PROPERTY_MEDIA_PAGES = 20;
+
 // Handle rate limiting with exponential backoff using proper headers
 const handleRateLimit = async (error, retryCount) => {
   if (error.response && error.response.status === 429 && retryCount < MAX_RETRIES) {
@@ -245,14 +250,48 @@ export const countProperties = async (lastTimestamp, lastKey) => {
   });
 };
 
+// Get a page of ListingKeys only, ordered by key, for deletion reconciliation
+export const getListingKeyBatch = async (lastKey, batchSize = 10000) => {
+  let retryCount = 0;
+  
+  // AMPRE supports up to 10,000 records per request
+  const validatedBatchSize = Math.min(batchSize, 10000);
+  
+  return propertyCircuit.execute(async () => {
+    while (true) {
+      try {
+        const filter = encodeURIComponent(`ListingKey gt '${lastKey}'`);
+        const url = `/Property?$select=ListingKey&$filter=${filter}&$orderby=ListingKey&$top=${validatedBatchSize}`;
+        
+        const response = await apiClient.get(url);
+        const keys = response.data.value.map(item => item.ListingKey);
+        
+        return {
+          keys,
+          count: keys.length
+        };
+      } catch (error) {
+        if (await handleRateLimit(error, retryCount)) {
+          retryCount++;
+          continue;
+        }
+        
+        logger.error('Failed to fetch listing key batch:', error);
+        throw error;
+      }
+    }
+  });
+};
+
 // Rate limiter for media requests
 // This uses the token bucket algorithm
-class RateLimiter {
+export class RateLimiter {
   constructor(tokensPerSecond = 20) {
     this.tokensPerSecond = tokensPerSecond;
     this.tokens = tokensPerSecond;
     this.lastRefill = Date.now();
     this.pendingRequests = [];
+    this.refillTimer = null;
   }
   
   async getToken() {
@@ -267,9 +306,25 @@ class RateLimiter {
     // Otherwise, wait for a token to become available
     return new Promise(resolve => {
       this.pendingRequests.push(resolve);
+      this.scheduleRefill();
     });
   }
   
+  // Waiting requests are only released on refill, so make sure one happens even
+  // when no new requests come in
+  scheduleRefill() {
+    if (this.refillTimer) return;
+    
+    this.refillTimer = setTimeout(() => {
+      this.refillTimer = null;
+      this.refillTokens();
+      
+      if (this.pendingRequests.length > 0) {
+        this.scheduleRefill();
+      }
+    }, Math.ceil(1000 / this.tokensPerSecond));
+  }
+  
   refillTokens() {
     const now = Date.now();
     const elapsedMs = now - this.lastRefill;
@@ -295,8 +350,11 @@ const mediaRateLimiter = new RateLimiter(
   parseInt(process.env.MEDIA_REQUESTS_PER_SECOND || '20', 10)
 );
 
-// Get media for a property
-export const getPropertyMedia = async (propertyId) => {
+// Get media for a property.
+// By default every failure resolves to an empty list to keep replication moving; with
+// `strict` only a successful empty response means "no media", and failures, 404s included,
+// are thrown instead.
+export const getPropertyMedia = async (propertyId, { strict = false } = {}) => {
   let retryCount = 0;
   const MAX_RETRIES = 3;
   
@@ -309,14 +367,36 @@ export const getPropertyMedia = async (propertyId) => {
         // Use direct Media endpoint with filter based on AMPRE documentation
         // Media records are linked by ResourceRecordKey and ResourceName
         const filter = encodeURIComponent(`ResourceRecordKey eq '${propertyId}' and ResourceName eq 'Property'`);
-        const url = `/Media?$filter=${filter}&$orderby=Order,MediaKey`;
+        const firstPageUrl = `/Media?$filter=${filter}&$orderby=Order,MediaKey&$top=${PROPERTY_MEDIA_PAGE_SIZE}`;
         
-        // Use a shorter timeout but retry on failure
-        const response = await apiClient.get(url, {
-          timeout: MEDIA_TIMEOUT
-        });
+        // Follow @odata.nextLink, or $skip when a full page comes back without one, so the
+        // result is the complete media set that reconciliation relies on
+        const mediaItems = [];
+        let url = firstPageUrl;
+        
+        for (let page = 0; url; page++) {
+          if (page >= MAX_PROPERTY_MEDIA_PAGES) {
+            throw new Error(`More than ${MAX_PROPERTY_MEDIA_PAGES} pages of media for property ${propertyId}, media set is incomplete`);
+          }
+          
+          // Use a shorter timeout but retry on failure
+          const response = await apiClient.get(url, {
+            timeout: MEDIA_TIMEOUT
+          });
+          
+          const items = response.data.value || [];
+          mediaItems.push(...items);
+          
+          if (response.data['@odata.nextLink']) {
+            url = response.data['@odata.nextLink'];
+          } else if (items.length >= PROPERTY_MEDIA_PAGE_SIZE) {
+            url = `${firstPageUrl}&$skip=${mediaItems.length}`;
+          } else {
+            url = null;
+          }
+        }
         
-        return response.data.value;
+        return mediaItems;
       } catch (error) {
         if (error.code === 'ECONNABORTED' || (error.message && error.message.includes('timeout'))) {
           retryCount++;
@@ -324,6 +404,7 @@ export const getPropertyMedia = async (propertyId) => {
           
           if (retryCount >= MAX_RETRIES) {
             logger.warn(`Max retries reached for property ${propertyId}, skipping media`);
+            if (strict) throw error;
             return [];
           }
           
@@ -340,8 +421,14 @@ export const getPropertyMedia = async (propertyId) => {
           continue;
         }
         
-        // Return empty array for 404s - listing has no media
+        // Return empty array for 404s - listing has no media. A 404 is not a confirmed empty
+        // media set though, e.g. on a nextLink page after earlier pages loaded, so strict callers
+        // that reconcile against the result get an error instead.
         if (error.response && error.response.status === 404) {
+          if (strict) {
+            throw new Error(`Media request for property ${propertyId} returned 404, media set is unknown`);
+          }
+          
           logger.debug(`No media found for property ${propertyId} (404 response)`);
           return [];
         }
@@ -354,6 +441,10 @@ export const getPropertyMedia = async (propertyId) => {
     
     return []; // Fallback empty result
   }).catch(error => {
+    if (strict) {
+      throw error;
+    }
+    
     // Special handling for circuit breaker failures
     if (error.message && error.message.includes('Circuit breaker open')) {
       logger.warn(`Media circuit breaker open, returning empty results for ${propertyId}`);
@@ -363,6 +454,48 @@ export const getPropertyMedia = async (propertyId) => {
   });
 };
 
+// Get a batch of Property media records changed since the Media checkpoint
+export const getMediaChangesBatch = async (lastTimestamp, lastKey, batchSize = 1000) => {
+  let retryCount = 0;
+  
+  // AMPRE supports up to 10,000 records per request
+  const validatedBatchSize = Math.min(batchSize, 10000);
+  
+  // Use the rate limiter to control API call rate
+  await mediaRateLimiter.getToken();
+  
+  return mediaCircuit.execute(async () => {
+    while (true) {
+      try {
+        // Same timestamp/key replication pattern as properties, keyed by MediaKey
+        const filter = encodeURIComponent(
+          `ResourceName eq 'Property' and (ModificationTimestamp gt ${lastTimestamp} or (ModificationTimestamp eq ${lastTimestamp} and MediaKey gt '${lastKey}'))`
+        );
+        const orderBy = encodeURIComponent('ModificationTimestamp,MediaKey');
+        
+        const url = `/Media?$filter=${filter}&$orderby=${orderBy}&$top=${validatedBatchSize}`;
+        
+        const response = await apiClient.get(url, {
+          timeout: MEDIA_TIMEOUT
+        });
+        
+        return {
+          items: response.data.value,
+          count: response.data.value.length
+        };
+      } catch (error) {
+        if (await handleRateLimit(error, retryCount)) {
+          retryCount++;
+          continue;
+        }
+        
+        logger.error('Failed to fetch media changes batch:', error);
+        throw error;
+      }
+    }
+  });
+};
+
 // Get a single media item by ID - useful for retries
 export const fetchMedia = async (url) => {
   let retryCount = 0;
@@ -428,9 +561,12 @@ export const getMediaDetail = async (mediaUrl) => {
  * This is more efficient than fetching media for each property individually
  * 
  * @param {string[]} propertyIds - Array of property IDs to fetch media for
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Include properties with no media as empty arrays
+ *   and leave out properties whose media could not be fetched
  * @returns {Object} - Object mapping property IDs to arrays of media items
  */
-export const getMediaBatch = async (propertyIds) => {
+export const getMediaBatch = async (propertyIds, { strict = false } = {}) => {
   if (!propertyIds || propertyIds.length === 0) {
     return {};
   }
@@ -455,7 +591,7 @@ export const getMediaBatch = async (propertyIds) => {
       // Process each property in parallel limited by concurrency
       const promises = concurrentBatch.map(async (propertyId) => {
         try {
-          const mediaItems = await getPropertyMedia(propertyId);
+          const mediaItems = await getPropertyMedia(propertyId, { strict });
           
           if (mediaItems && mediaItems.length > 0) {
             return { propertyId, mediaItems };
@@ -479,7 +615,7 @@ export const getMediaBatch = async (propertyIds) => {
     
     // Process results
     for (const result of results) {
-      if (result.mediaItems.length > 0) {
+      if (result.mediaItems.length > 0 || (strict && !result.error)) {
         mediaByProperty[result.propertyId] = result.mediaItems;
       }
     }
@@ -495,41 +631,53 @@ export const getMediaBatch = async (propertyIds) => {
 };
 
 /**
- * Gets properties that have media changes based on special timestamps
+ * Maps an AMPRE Media record to our listing_media schema
+ * 
+ * @param {Object} mediaItem - Media record from the AMPRE API
+ * @param {string} [listingId] - Listing the media belongs to, defaults to ResourceRecordKey
+ */
+export const mapMediaItem = (mediaItem, listingId = mediaItem.ResourceRecordKey) => ({
+  media_key: mediaItem.MediaKey,
+  listing_id: listingId,
+  media_type: mediaItem.MediaType,
+  media_category: mediaItem.MediaCategory,
+  media_url: mediaItem.MediaURL,
+  media_status: mediaItem.MediaStatus,
+  image_height: mediaItem.ImageHeight ? parseInt(mediaItem.ImageHeight, 10) : null,
+  image_width: mediaItem.ImageWidth ? parseInt(mediaItem.ImageWidth, 10) : null,
+  is_preferred: mediaItem.PreferredPhotoYN === true,
+  display_order: mediaItem.Order !== undefined && mediaItem.Order !== null ? parseInt(mediaItem.Order, 10) : null,
+  short_description: mediaItem.ShortDescription,
+  modification_timestamp: new Date(mediaItem.ModificationTimestamp)
+});
+
+/**
+ * Gets properties whose media changed since their media set was last reconciled
  * According to AMPRE documentation, media changes are tracked by:
  * - PhotosChangeTimestamp
  * - DocumentsChangeTimestamp
  * - MediaChangeTimestamp
- * These timestamps do NOT update the main ModificationTimestamp
+ * These timestamps do NOT update the main ModificationTimestamp. The latest of them
+ * is stored in media_change_timestamp during property replication.
+ * 
+ * @param {number} limit - Maximum number of properties to return
  */
-export const getPropertiesWithMediaChanges = async () => {
+export const getPropertiesWithMediaChanges = async (limit = 500) => {
   const client = await global.pool.connect();
   
   try {
-    // Get the last media check timestamp
-    const { lastTimestamp } = await getReplicationState('Media');
-    
-    // Find properties that might have media changes by checking the 
-    // special timestamps in raw JSON
     const result = await client.query(`
-      SELECT id, 
-        raw->>'PhotosChangeTimestamp' as photos_timestamp,
-        raw->>'DocumentsChangeTimestamp' as docs_timestamp,
-        raw->>'MediaChangeTimestamp' as media_timestamp
+      SELECT id
       FROM listings
       WHERE 
-        (
-          (raw->>'PhotosChangeTimestamp' IS NOT NULL AND raw->>'PhotosChangeTimestamp' > $1)
-          OR 
-          (raw->>'DocumentsChangeTimestamp' IS NOT NULL AND raw->>'DocumentsChangeTimestamp' > $1)
-          OR 
-          (raw->>'MediaChangeTimestamp' IS NOT NULL AND raw->>'MediaChangeTimestamp' > $1)
-        )
-      ORDER BY id
-      LIMIT 5000
-    `, [lastTimestamp]);
+        removed_at IS NULL
+        AND media_change_timestamp IS NOT NULL
+        AND media_reconciled_at IS DISTINCT FROM media_change_timestamp
+      ORDER BY media_change_timestamp DESC
+      LIMIT $1
+    `, [limit]);
     
-    logger.info(`Found ${result.rows.length} properties with media changes since ${lastTimestamp}`);
+    logger.info(`Found ${result.rows.length} properties with unreconciled media changes`);
     
     return result.rows.map(row => row.id);
   } catch (error) {
@@ -541,18 +689,20 @@ export const getPropertiesWithMediaChanges = async () => {
 };
 
 /**
- * Updates media for a list of property IDs
- * Used specifically for the media-only update mode
+ * Reconciles the full media set for a list of property IDs
+ * Media no longer returned upstream is flagged as deleted and display order is
+ * refreshed, so removed or reordered photos don't linger in media_keys
  * 
  * @param {string[]} propertyIds - List of property IDs to update media for
  */
 export const updateMediaForProperties = async (propertyIds) => {
   if (!propertyIds || propertyIds.length === 0) {
-    return { mediaProcessed: 0, listingsWithMedia: 0, duration: 0, rate: 0 };
+    return { mediaProcessed: 0, mediaDeleted: 0, listingsWithMedia: 0, duration: 0, rate: 0 };
   }
   
   const startTime = Date.now();
   let totalMediaProcessed = 0;
+  let totalMediaDeleted = 0;
   let listingsWithMedia = 0;
   
   // Split the property IDs into batches for better performance
@@ -562,171 +712,37 @@ export const updateMediaForProperties = async (propertyIds) => {
     const batchIds = propertyIds.slice(i, i + batchSize);
     
     try {
-      // Get media for these properties in a batch
-      const mediaByProperty = await getMediaBatch(batchIds);
+      // Capture the media change timestamps before fetching, so a change that lands
+      // while we reconcile is picked up again on the next run
+      const mediaChangeTimestamps = await getMediaChangeTimestamps(batchIds);
       
-      // Process media updates
-      const mediaUpdatePromises = [];
+      // Strict mode: only properties whose full media set was fetched come back
+      const mediaByProperty = await getMediaBatch(batchIds, { strict: true });
       
       for (const propertyId in mediaByProperty) {
         const mediaItems = mediaByProperty[propertyId];
         
-        if (mediaItems && mediaItems.length > 0) {
-          logger.info(`Updating ${mediaItems.length} media items for property ${propertyId}`);
-          
-          // Create a list of media keys for this property
-          const mediaKeys = [];
-          let preferredMediaKey = null;
+        try {
+          const result = await reconcileListingMedia(
+            propertyId,
+            mediaItems.map(mediaItem => mapMediaItem(mediaItem, propertyId)),
+            mediaChangeTimestamps[propertyId] || null
+          );
           
-          // Process the media items in batches to avoid overwhelming the database
-          const mediaItemBatches = [];
-          const MEDIA_ITEM_BATCH_SIZE = 20;
+          totalMediaProcessed += result.written;
+          totalMediaDeleted += result.deleted;
           
-          for (let j = 0; j < mediaItems.length; j += MEDIA_ITEM_BATCH_SIZE) {
-            mediaItemBatches.push(mediaItems.slice(j, j + MEDIA_ITEM_BATCH_SIZE));
-          }
-          
-          for (const mediaItemBatch of mediaItemBatches) {
-            // Create a promise for each batch of media items
-            mediaUpdatePromises.push(
-              (async () => {
-                try {
-                  // Make sure the listing exists before processing its media
-                  const listingExists = await isListingInDatabase(propertyId);
-                  
-                  if (!listingExists) {
-                    logger.warn(`Cannot store media for listing ${propertyId} as the listing does not exist in database`);
-                    return { success: false, propertyId };
-                  }
-                  
-                  // Process media items in this batch
-                  const batchResults = await Promise.all(
-                    mediaItemBatch.map(async (mediaItem) => {
-                      try {
-                        const mediaData = {
-                          media_key: mediaItem.MediaKey,
-                          listing_id: propertyId,
-                          media_type: mediaItem.MediaType,
-                          media_category: mediaItem.MediaCategory,
-                          media_url: mediaItem.MediaURL,
-                          media_status: mediaItem.MediaStatus,
-                          image_height: mediaItem.ImageHeight ? parseInt(mediaItem.ImageHeight, 10) : null,
-                          image_width: mediaItem.ImageWidth ? parseInt(mediaItem.ImageWidth, 10) : null,
-                          is_preferred: mediaItem.PreferredPhotoYN === true,
-                          display_order: mediaItem.Order ? parseInt(mediaItem.Order, 10) : null,
-                          short_description: mediaItem.ShortDescription,
-                          modification_timestamp: new Date(mediaItem.ModificationTimestamp)
-                        };
-                        
-                        // Track media keys and preferred media
-                        mediaKeys.push(mediaItem.MediaKey);
-                        if (mediaItem.PreferredPhotoYN === true) {
-                          preferredMediaKey = mediaItem.MediaKey;
-                        }
-                        
-                        await upsertMedia(mediaData);
-                        return { success: true, mediaKey: mediaItem.MediaKey };
-                      } catch (error) {
-                        logger.error(`Failed to process media ${mediaItem.MediaKey} for listing ${propertyId}:`, error);
-                        return { success: false, mediaKey: mediaItem.MediaKey, error };
-                      }
-                    })
-                  );
-                  
-                  // Count successful updates
-                  const successCount = batchResults.filter(result => result.success).length;
-                  totalMediaProcessed += successCount;
-                  
-                  // Update the property's media_keys array if any media was processed
-                  if (successCount > 0) {
-                    // This will be handled outside the batch processing
-                    return { 
-                      success: true, 
-                      propertyId, 
-                      mediaKeys, 
-                      preferredMediaKey: preferredMediaKey || (mediaKeys.length > 0 ? mediaKeys[0] : null),
-                      successCount
-                    };
-                  }
-                  
-                  return { success: false, propertyId };
-                } catch (error) {
-                  logger.error(`Failed to process media batch for property ${propertyId}:`, error);
-                  return { success: false, propertyId, error };
-                }
-              })()
-            );
-          }
-        }
-      }
-      
-      // Wait for all media update promises to complete
-      const mediaUpdateResults = await Promise.all(mediaUpdatePromises);
-      
-      // Collect results by property ID for database updates
-      const resultsByProperty = {};
-      
-      for (const result of mediaUpdateResults) {
-        if (result.success) {
-          if (!resultsByProperty[result.propertyId]) {
-            resultsByProperty[result.propertyId] = {
-              mediaKeys: [],
-              preferredMediaKey: null,
-              successCount: 0
-            };
+          if (result.written > 0) {
+            listingsWithMedia++;
           }
           
-          resultsByProperty[result.propertyId].mediaKeys.push(...result.mediaKeys);
-          
-          // Set preferred key if not set yet
-          if (!resultsByProperty[result.propertyId].preferredMediaKey && result.preferredMediaKey) {
-            resultsByProperty[result.propertyId].preferredMediaKey = result.preferredMediaKey;
+          if (result.deleted > 0) {
+            logger.info(`Flagged ${result.deleted} stale media items as deleted for property ${propertyId}`);
           }
-          
-          resultsByProperty[result.propertyId].successCount += result.successCount;
-        }
-      }
-      
-      // Update the database for each property
-      const dbUpdatePromises = [];
-      
-      for (const propertyId in resultsByProperty) {
-        const result = resultsByProperty[propertyId];
-        
-        if (result.successCount > 0) {
-          listingsWithMedia++;
-          
-          // Update the listing with all media keys
-          dbUpdatePromises.push(
-            (async () => {
-              try {
-                const updateClient = await global.pool.connect();
-                await updateClient.query(`
-                  UPDATE listings
-                  SET media_keys = $1,
-                      preferred_media_key = $2,
-                      updated_at = NOW()
-                  WHERE id = $3
-                `, [
-                  result.mediaKeys,
-                  result.preferredMediaKey || (result.mediaKeys.length > 0 ? result.mediaKeys[0] : null),
-                  propertyId
-                ]);
-                updateClient.release();
-                
-                logger.info(`Updated property ${propertyId} with ${result.mediaKeys.length} media keys`);
-                return { success: true, propertyId };
-              } catch (error) {
-                logger.error(`Failed to update media keys for property ${propertyId}:`, error);
-                return { success: false, propertyId, error };
-              }
-            })()
-          );
+        } catch (error) {
+          logger.error(`Failed to reconcile media for property ${propertyId}:`, error);
         }
       }
-      
-      // Wait for all database updates to complete
-      await Promise.all(dbUpdatePromises);
     } catch (error) {
       logger.error(`Failed to process media batch for ${batchIds.length} properties:`, error);
     }
@@ -742,8 +758,9 @@ export const updateMediaForProperties = async (propertyIds) => {
   
   return {
     mediaProcessed: totalMediaProcessed,
+    mediaDeleted: totalMediaDeleted,
     listingsWithMedia,
     duration: durationSeconds,
     rate: recordsPerSecond
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,225 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import pLimit from 'p-limit';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { RateLimiter } from './ampre-api.js';
+import { createMediaStorage } from './media-storage.js';
+import {
+  getMediaToMirror,
+  markMediaMirrored,
+  markMediaMirrorFailed,
+  getDeletedMirroredMedia,
+  clearMediaMirror
+} from '../db/index.js';
+
+dotenv.config();
+
+// Configuration
+const BATCH_SIZE = parseInt(process.env.MEDIA_MIRROR_BATCH_SIZE, 10) || 100;
+const CONCURRENCY = parseInt(process.env.MEDIA_MIRROR_CONCURRENCY, 10) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.MEDIA_MIRROR_MAX_ATTEMPTS, 10) || 5;
+const DOWNLOAD_TIMEOUT = parseInt(process.env.MEDIA_TIMEOUT, 10) || 30000;
+const VARIANT_QUALITY = parseInt(process.env.MEDIA_MIRROR_QUALITY, 10) || 80;
+
+// Downloads hit the same CDN as media replication, so throttle them the same way
+const downloadRateLimiter = new RateLimiter(
+  parseInt(process.env.MEDIA_MIRROR_REQUESTS_PER_SECOND || '10', 10)
+);
+
+// File extensions for the original image, keyed by content type
+const ORIGINAL_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Parse MEDIA_MIRROR_VARIANTS, e.g. "thumb:320,medium:800,large:1600"
+export const parseVariants = (value = process.env.MEDIA_MIRROR_VARIANTS || 'thumb:320,medium:800,large:1600') => {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, width] = entry.split(':');
+      const parsedWidth = parseInt(width, 10);
+
+      if (!/^[a-z0-9_-]+$/i.test(name) || !parsedWidth) {
+        throw new Error(`Invalid media variant "${entry}", expected name:width`);
+      }
+
+      return { name, width: parsedWidth };
+    });
+};
+
+// Storage prefix of a media item. Listing ids and media keys come from upstream, so each has to
+// be a single path segment, or a key like ".." would point at another listing or the storage root.
+const mediaPrefix = (media) => {
+  for (const segment of [media.listing_id, media.media_key]) {
+    if (typeof segment !== 'string' || segment === '' || segment === '.' || segment === '..' || /[\/\\\0]/.test(segment)) {
+      throw new Error(`Invalid media path segment: ${JSON.stringify(segment)}`);
+    }
+  }
+
+  return `${media.listing_id}/${media.media_key}`;
+};
+
+// Download an image from the CDN
+const downloadImage = async (url) => {
+  await downloadRateLimiter.getToken();
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT
+  });
+
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType && !contentType.startsWith('image/')) {
+    throw new Error(`Unexpected content type ${contentType}`);
+  }
+
+  return { buffer: Buffer.from(response.data), contentType };
+};
+
+// Mirror one media item: store the original and every resized variant
+const mirrorMediaItem = async (media, storage, variants) => {
+  const prefix = mediaPrefix(media);
+  const { buffer, contentType } = await downloadImage(media.media_url);
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  // Same bytes as last time, only the timestamp moved upstream
+  if (media.content_hash === contentHash && media.local_path && await storage.exists(media.local_path)) {
+    await markMediaMirrored(media.media_key, {
+      localPath: media.local_path,
+      contentHash,
+      variants: media.variants
+    });
+    return false;
+  }
+
+  // New files replace the current ones in place, so /media keeps serving the old version
+  // until the new one is written, and keeps it if resizing or writing fails partway
+  const extension = ORIGINAL_EXTENSIONS[contentType] || 'jpg';
+  const localPath = await storage.put(`${prefix}/original.${extension}`, buffer);
+
+  const storedVariants = {};
+  for (const variant of variants) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: variant.width, withoutEnlargement: true })
+      .webp({ quality: VARIANT_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    storedVariants[variant.name] = {
+      path: await storage.put(`${prefix}/${variant.name}.webp`, data),
+      width: info.width,
+      height: info.height
+    };
+  }
+
+  await markMediaMirrored(media.media_key, {
+    localPath,
+    contentHash,
+    variants: storedVariants
+  });
+
+  // Only now drop what the new version no longer has: an original with another extension
+  // and variants that are not configured anymore
+  const storedPaths = new Set([localPath, ...Object.values(storedVariants).map(variant => variant.path)]);
+  const stalePaths = [media.local_path, ...Object.values(media.variants || {}).map(variant => variant?.path)]
+    .filter(stalePath => stalePath && !storedPaths.has(stalePath));
+
+  for (const stalePath of stalePaths) {
+    try {
+      await storage.remove(stalePath);
+    } catch (error) {
+      logger.warn(`Failed to remove stale mirror file ${stalePath}: ${error.message}`);
+    }
+  }
+
+  return true;
+};
+
+// Remove local files for media that was deleted upstream
+export const purgeDeletedMedia = async ({ storage = createMediaStorage() } = {}) => {
+  let purged = 0;
+
+  while (true) {
+    const deletedMedia = await getDeletedMirroredMedia({ limit: BATCH_SIZE });
+
+    if (deletedMedia.length === 0) {
+      break;
+    }
+
+    for (const media of deletedMedia) {
+      let prefix = null;
+
+      try {
+        prefix = mediaPrefix(media);
+      } catch (error) {
+        // Nothing can have been stored under an invalid prefix, only clear the row
+        logger.warn(`Not purging media ${media.media_key} for listing ${media.listing_id}: ${error.message}`);
+      }
+
+      if (prefix) {
+        await storage.remove(prefix);
+      }
+
+      await clearMediaMirror(media.media_key);
+      purged++;
+    }
+  }
+
+  if (purged > 0) {
+    logger.info(`Purged ${purged} mirrored media items deleted upstream`);
+  }
+
+  return purged;
+};
+
+// Mirror pending listing media to the configured storage backend.
+// Failed items are recorded on the row and retried on later runs up to MEDIA_MIRROR_MAX_ATTEMPTS.
+export const mirrorPendingMedia = async ({ limit = Infinity, storage = createMediaStorage() } = {}) => {
+  const startTime = Date.now();
+  const variants = parseVariants();
+  const concurrencyLimit = pLimit(CONCURRENCY);
+
+  let mirrored = 0;
+  let unchanged = 0;
+  let failed = 0;
+
+  console.log(`Mirroring media to ${storage.driver} storage (variants: ${variants.map(v => `${v.name}:${v.width}`).join(', ')})`);
+
+  while (mirrored + unchanged + failed < limit) {
+    const batchSize = Math.min(BATCH_SIZE, limit - (mirrored + unchanged + failed));
+    const pending = await getMediaToMirror({ limit: batchSize, maxAttempts: MAX_ATTEMPTS });
+
+    if (pending.length === 0) {
+      break;
+    }
+
+    await Promise.all(pending.map(media => concurrencyLimit(async () => {
+      try {
+        const changed = await mirrorMediaItem(media, storage, variants);
+        changed ? mirrored++ : unchanged++;
+      } catch (error) {
+        failed++;
+        logger.warn(`Failed to mirror media ${media.media_key} for listing ${media.listing_id}: ${error.message}`);
+        await markMediaMirrorFailed(media.media_key, error);
+      }
+    })));
+
+    console.log(`Mirrored ${mirrored} media items (${unchanged} unchanged, ${failed} failed)`);
+  }
+
+  const purged = await purgeDeletedMedia({ storage });
+  const duration = (Date.now() - startTime) / 1000;
+
+  logger.info(`Media mirroring completed: ${mirrored} mirrored, ${unchanged} unchanged, ${failed} failed, ${purged} purged in ${duration.toFixed(2)}s`);
+
+  return { mirrored, unchanged, failed, purged, duration };
+};
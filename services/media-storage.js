@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default location for mirrored media when MEDIA_STORAGE_PATH is not set
+export const DEFAULT_MEDIA_STORAGE_PATH = path.join(__dirname, '..', 'media');
+
+/**
+ * Stores mirrored media on the local filesystem.
+ * Keys are relative paths like `<listingId>/<mediaKey>/thumb.webp`.
+ */
+export class LocalMediaStorage {
+  constructor(rootDir = DEFAULT_MEDIA_STORAGE_PATH) {
+    this.driver = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Resolve a key inside the storage root, refusing anything that escapes it
+  resolve(key) {
+    const fullPath = path.resolve(this.rootDir, key);
+
+    if (fullPath !== this.rootDir && !fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid media storage key: ${key}`);
+    }
+
+    return fullPath;
+  }
+
+  // Write through a temporary file so readers never see a partial image
+  async put(key, buffer) {
+    const fullPath = this.resolve(key);
+    const tempPath = `${fullPath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, fullPath);
+
+    return key;
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Remove a key, or everything below it when it is a directory. Never the storage root itself.
+  async remove(key) {
+    const fullPath = this.resolve(key);
+
+    if (fullPath === this.rootDir) {
+      throw new Error(`Refusing to remove the media storage root: ${key}`);
+    }
+
+    await fs.rm(fullPath, { recursive: true, force: true });
+  }
+}
+
+// Create the storage backend configured by MEDIA_STORAGE_DRIVER
+export const createMediaStorage = (driver = process.env.MEDIA_STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return new LocalMediaStorage(process.env.MEDIA_STORAGE_PATH || DEFAULT_MEDIA_STORAGE_PATH);
+    default:
+      // S3-compatible storage only needs to implement put/exists/remove
+      throw new Error(`Unsupported media storage driver: ${driver}`);
+  }
+};
@@ -0,0 +1,143 @@
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { resolveSearchFilters, buildSearchConditions } from '../api/search-filters.js';
+import { createAlertTransport } from './alert-transports.js';
+import {
+  getLatestListingHistoryPosition,
+  getSavedSearchesToEvaluate,
+  recordSavedSearchAlerts,
+  getUndeliveredAlerts,
+  markAlertsDelivered,
+  markAlertsDeliveryFailed
+} from '../db/index.js';
+
+dotenv.config();
+
+// Configuration
+const DELIVERY_BATCH_SIZE = parseInt(process.env.ALERT_DELIVERY_BATCH_SIZE, 10) || 1000;
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.ALERT_MAX_DELIVERY_ATTEMPTS, 10) || 5;
+
+// Alert types a saved search can subscribe to
+export const ALERT_TYPES = ['new_listing', 'price_drop'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Turn listing_history entries since the last run into alerts for every saved search they match
+export const evaluateSavedSearches = async () => {
+  const startTime = Date.now();
+  const toHistory = await getLatestListingHistoryPosition();
+  const savedSearches = await getSavedSearchesToEvaluate(toHistory);
+
+  let alerts = 0;
+  let failed = 0;
+
+  for (const savedSearch of savedSearches) {
+    try {
+      const { filters, error } = await resolveSearchFilters(savedSearch.params);
+
+      // Parameters are validated on save, this only happens if parsing got stricter since
+      if (error) {
+        throw new Error(error);
+      }
+
+      const { conditions, params } = buildSearchConditions(filters);
+
+      alerts += await recordSavedSearchAlerts({
+        savedSearchId: savedSearch.id,
+        alertTypes: savedSearch.alert_types,
+        conditions,
+        params,
+        from: { xid: savedSearch.last_history_xid, id: parseInt(savedSearch.last_history_id, 10) },
+        to: toHistory
+      });
+    } catch (error) {
+      failed++;
+      logger.warn(`Failed to evaluate saved search ${savedSearch.id}: ${error.message}`);
+    }
+  }
+
+  const duration = (Date.now() - startTime) / 1000;
+  logger.info(`Evaluated ${savedSearches.length} saved searches: ${alerts} alerts, ${failed} failed in ${duration.toFixed(2)}s`);
+
+  return { evaluated: savedSearches.length, alerts, failed, duration };
+};
+
+// Alert as sent to transports
+const toAlertMessage = (alert) => ({
+  id: parseInt(alert.id, 10),
+  type: alert.alert_type,
+  listing_id: alert.listing_id,
+  mls_number: alert.mls_number,
+  address: alert.unparsed_address,
+  city: alert.city,
+  property_type: alert.property_type,
+  bedrooms_total: alert.bedrooms_total,
+  list_price: toNumber(alert.list_price),
+  old_price: toNumber(alert.old_price),
+  new_price: toNumber(alert.new_price),
+  created_at: alert.created_at
+});
+
+// Deliver pending alerts, one message per saved search and batch.
+// Failed deliveries are retried on later runs up to ALERT_MAX_DELIVERY_ATTEMPTS.
+export const deliverPendingAlerts = async () => {
+  const transports = new Map();
+  let afterId = 0;
+  let delivered = 0;
+  let failed = 0;
+
+  while (true) {
+    const pending = await getUndeliveredAlerts({ afterId, limit: DELIVERY_BATCH_SIZE, maxAttempts: MAX_DELIVERY_ATTEMPTS });
+
+    if (pending.length === 0) {
+      break;
+    }
+
+    afterId = pending[pending.length - 1].id;
+
+    const bySavedSearch = new Map();
+    for (const alert of pending) {
+      if (!bySavedSearch.has(alert.saved_search_id)) {
+        bySavedSearch.set(alert.saved_search_id, []);
+      }
+      bySavedSearch.get(alert.saved_search_id).push(alert);
+    }
+
+    for (const [savedSearchId, alerts] of bySavedSearch) {
+      const { saved_search_name: name, delivery_method: method, delivery_target: target, webhook_secret: secret } = alerts[0];
+      const alertIds = alerts.map(alert => alert.id);
+
+      try {
+        if (!transports.has(method)) {
+          transports.set(method, createAlertTransport(method));
+        }
+
+        await transports.get(method).send(target, {
+          saved_search: { id: savedSearchId, name },
+          alerts: alerts.map(toAlertMessage)
+        }, { secret });
+
+        await markAlertsDelivered(alertIds);
+        delivered += alerts.length;
+      } catch (error) {
+        failed += alerts.length;
+        logger.warn(`Failed to deliver ${alerts.length} alerts for saved search ${savedSearchId} by ${method}: ${error.message}`);
+        await markAlertsDeliveryFailed(alertIds, error);
+      }
+    }
+  }
+
+  if (delivered + failed > 0) {
+    logger.info(`Alert delivery completed: ${delivered} delivered, ${failed} failed`);
+  }
+
+  return { delivered, failed };
+};
+
+// Evaluate saved searches and deliver the resulting alerts, run after each replication cycle
+export const processSavedSearchAlerts = async () => {
+  const evaluation = await evaluateSavedSearches();
+  const delivery = await deliverPendingAlerts();
+
+  return { evaluation, delivery };
+};
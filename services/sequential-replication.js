@@ -1,12 +1,32 @@
-import { getPropertyBatch, getPropertyMedia, getMediaBatch } from './ampre-api.js';
-import { getReplicationState, updateReplicationState, upsertListing, upsertMedia, isListingInDatabase } from '../db/index.js';
+import { 
+  getPropertyBatch, getPropertyById, getMediaChangesBatch, getListingKeyBatch,
+  getPropertiesWithMediaChanges, updateMediaForProperties, mapMediaItem
+} from './ampre-api.js';
+import { 
+  getReplicationState, updateReplicationState, upsertListing, upsertListingsBatch, upsertMediaBatch,
+  replayMediaReplicationFailures, getActiveListingIds, markListingsRemoved,
+  recordReplicationFailure, resolveReplicationFailure, getReplicationFailures
+} from '../db/index.js';
 import { logger } from '../utils/logger.js';
+import { enqueueListingEvents, enqueueMediaChangedEvents } from './webhooks.js';
 
 // Extract and transform property field values (reused from replication.js)
 const extractFieldValue = (property, field, defaultValue = null) => {
   return property[field] !== undefined ? property[field] : defaultValue;
 };
 
+// Latest of the AMPRE media change timestamps, these don't move ModificationTimestamp
+const extractMediaChangeTimestamp = (property) => {
+  const timestamps = ['MediaChangeTimestamp', 'PhotosChangeTimestamp', 'DocumentsChangeTimestamp']
+    .map(field => property[field])
+    .filter(Boolean)
+    .map(value => new Date(value))
+    .filter(date => !isNaN(date.getTime()));
+  
+  if (timestamps.length === 0) return null;
+  return new Date(Math.max(...timestamps));
+};
+
 // Convert array field from API (reused from replication.js)
 const extractArrayField = (property, field) => {
   const value = property[field];
@@ -20,6 +40,7 @@ const mapProperty = async (property) => {
   const listingData = {
     // Identifiers
     id: property.ListingKey,
+    mls_number: extractFieldValue(property, 'ListingId'),
     
     // Location data
     unparsed_address: extractFieldValue(property, 'UnparsedAddress'),
@@ -32,6 +53,7 @@ const mapProperty = async (property) => {
     postal_code: extractFieldValue(property, 'PostalCode'),
     country: extractFieldValue(property, 'Country'),
     county_or_parish: extractFieldValue(property, 'CountyOrParish'),
+    neighbourhood: extractFieldValue(property, 'CityRegion'),
     
     // Geolocation
     latitude: extractFieldValue(property, 'Latitude') ? parseFloat(property.Latitude) : null,
@@ -85,6 +107,7 @@ const mapProperty = async (property) => {
     // Media (initial empty array, to be populated separately in the media phase)
     media_keys: [],
     preferred_media_key: null,
+    media_change_timestamp: extractMediaChangeTimestamp(property),
     virtual_tour_url: extractFieldValue(property, 'VirtualTourURLUnbranded') || extractFieldValue(property, 'VirtualTourURLBranded'),
     
     // Textual information
@@ -111,44 +134,63 @@ const mapProperty = async (property) => {
   return listingData;
 };
 
-// Process a single media item
-const processMediaItem = async (mediaItem, listingId) => {
-  try {
-    // Check if listing exists in database
-    const listingExists = await isListingInDatabase(listingId);
-    
-    if (!listingExists) {
-      logger.warn(`Cannot store media for listing ${listingId} as the listing does not exist in database`);
-      return false;
-    }
-    
-    const mediaData = {
-      media_key: mediaItem.MediaKey,
-      listing_id: listingId,
-      media_type: mediaItem.MediaType,
-      media_category: mediaItem.MediaCategory,
-      media_url: mediaItem.MediaURL,
-      media_status: mediaItem.MediaStatus,
-      image_height: mediaItem.ImageHeight ? parseInt(mediaItem.ImageHeight, 10) : null,
-      image_width: mediaItem.ImageWidth ? parseInt(mediaItem.ImageWidth, 10) : null,
-      is_preferred: mediaItem.PreferredPhotoYN === true,
-      display_order: mediaItem.Order ? parseInt(mediaItem.Order, 10) : null,
-      short_description: mediaItem.ShortDescription,
-      modification_timestamp: new Date(mediaItem.ModificationTimestamp)
-    };
-    
-    await upsertMedia(mediaData);
-    return true;
-  } catch (error) {
-    // Special handling for timeout errors 
-    if (error.code === 'ECONNABORTED' || (error.message && error.message.includes('timeout'))) {
-      logger.warn(`Timeout processing media ${mediaItem.MediaKey} for listing ${listingId}, skipping`);
-    } else {
-      logger.error(`Failed to process media ${mediaItem.MediaKey} for listing ${listingId}:`, 
-                  error.message || error);
+// Upsert a page of properties one row at a time, used when the bulk write fails.
+// Failed listings go to the dead-letter table; the returned checkpoint only covers
+// the leading run of items that were either written or dead-lettered.
+const upsertPropertiesIndividually = async (items) => {
+  let processed = 0;
+  let failed = 0;
+  let lastTimestamp = null;
+  let lastKey = null;
+  let checkpointBlocked = false;
+  
+  // Process in parallel but limit concurrency to avoid overwhelming the database
+  const chunkSize = 50;
+  
+  // Process chunks in sequence, but items within chunks in parallel
+  for (let i = 0; i < items.length; i += chunkSize) {
+    const chunk = items.slice(i, i + chunkSize);
+    
+    const chunkResults = await Promise.all(
+      chunk.map(async (property) => {
+        try {
+          const mappedProperty = await mapProperty(property);
+          await upsertListing(mappedProperty);
+          
+          return { success: true, recorded: true, property };
+        } catch (error) {
+          logger.error(`Failed to process property ${property.ListingKey}:`, error);
+          
+          try {
+            await recordReplicationFailure(property.ListingKey, property.ModificationTimestamp, error);
+            return { success: false, recorded: true, property };
+          } catch (recordError) {
+            return { success: false, recorded: false, property };
+          }
+        }
+      })
+    );
+    
+    // Results keep page order, advance the checkpoint until the first unrecorded item
+    for (const result of chunkResults) {
+      if (result.success) {
+        processed++;
+      } else {
+        failed++;
+      }
+      
+      if (!result.recorded) {
+        checkpointBlocked = true;
+      }
+      
+      if (!checkpointBlocked) {
+        lastTimestamp = result.property.ModificationTimestamp;
+        lastKey = result.property.ListingKey;
+      }
     }
-    return false;
   }
+  
+  return { processed, failed, lastTimestamp, lastKey };
 };
 
 // Phase 1: Replicate property listings
@@ -205,60 +247,49 @@ export const replicateProperties = async () => {
         break;
       }
       
-      // Process properties with improved concurrency
+      // Write the whole page and its checkpoint in a single transaction
       let batchProcessed = 0;
-      let newTimestamp = null;
-      let newKey = null;
-      
-      // Process in parallel but limit concurrency to avoid overwhelming the database
-      // Using a larger chunk size for better throughput
-      const chunkSize = 50; // Increased from typical 10
-      const chunks = [];
+      let pageComplete = true;
+      const lastItem = items[items.length - 1];
       
-      // Split the items into chunks for parallel processing
-      for (let i = 0; i < items.length; i += chunkSize) {
-        chunks.push(items.slice(i, i + chunkSize));
-      }
-      
-      // Process chunks in sequence, but items within chunks in parallel
-      for (const chunk of chunks) {
-        const chunkResults = await Promise.all(
-          chunk.map(async (property) => {
-            try {
-              const mappedProperty = await mapProperty(property);
-              await upsertListing(mappedProperty);
-              
-              return {
-                success: true,
-                timestamp: property.ModificationTimestamp,
-                key: property.ListingKey
-              };
-            } catch (error) {
-              logger.error(`Failed to process property ${property.ListingKey}:`, error);
-              return { success: false };
-            }
-          })
-        );
+      try {
+        const mappedProperties = await Promise.all(items.map(mapProperty));
         
-        // Count successes and track last timestamp/key
-        const successResults = chunkResults.filter(r => r.success);
-        batchProcessed += successResults.length;
+        await upsertListingsBatch(mappedProperties, {
+          resourceName: 'Property',
+          lastTimestamp: lastItem.ModificationTimestamp,
+          lastKey: lastItem.ListingKey,
+          recordsProcessed: items.length
+        });
         
-        if (successResults.length > 0) {
-          // Get the last successful result
-          const lastResult = successResults[successResults.length - 1];
-          newTimestamp = lastResult.timestamp;
-          newKey = lastResult.key;
+        batchProcessed = items.length;
+        lastProcessedTimestamp = lastItem.ModificationTimestamp;
+        lastProcessedKey = lastItem.ListingKey;
+        console.log(`Updated property replication state to timestamp ${lastProcessedTimestamp} and key ${lastProcessedKey}`);
+      } catch (error) {
+        // One bad record fails the whole page, retry row by row so the rest still lands
+        logger.error(`Bulk write failed for property batch ${batchesProcessed}, falling back to per-row upserts:`, error);
+        
+        const result = await upsertPropertiesIndividually(items);
+        batchProcessed = result.processed;
+        
+        if (result.failed > 0) {
+          logger.warn(`${result.failed} properties in batch ${batchesProcessed} failed and were recorded for retry`);
         }
-      }
-      
-      // Update checkpoint if we processed any properties
-      if (batchProcessed > 0 && newTimestamp && newKey) {
-        lastProcessedTimestamp = newTimestamp;
-        lastProcessedKey = newKey;
         
-        await updateReplicationState('Property', newTimestamp, newKey, batchProcessed);
-        console.log(`Updated property replication state to timestamp ${newTimestamp} and key ${newKey}`);
+        // Without progress we would fetch the same page forever
+        if (!result.lastTimestamp || !result.lastKey) {
+          throw new Error(`Could not write or dead-letter the first property of batch ${batchesProcessed}, stopping`);
+        }
+        
+        lastProcessedTimestamp = result.lastTimestamp;
+        lastProcessedKey = result.lastKey;
+        
+        await updateReplicationState('Property', result.lastTimestamp, result.lastKey, result.processed);
+        console.log(`Updated property replication state to timestamp ${result.lastTimestamp} and key ${result.lastKey}`);
+        
+        // Items past an unrecorded failure are fetched again on the next page
+        pageComplete = result.lastKey === lastItem.ListingKey;
       }
       
       totalProcessed += batchProcessed;
@@ -269,12 +300,20 @@ export const replicateProperties = async () => {
       logger.info(`Processed property batch ${batchesProcessed}: ${totalProcessed} properties (${recordsPerSecond} records/sec)`);
       
       // If we received fewer records than requested, we're done
-      if (count < currentBatchSize) {
+      if (count < currentBatchSize && pageComplete) {
         logger.info('Received fewer property records than requested, assuming completion');
         break;
       }
     }
     
+    // Queue webhook events for the listing changes this phase recorded. Events are read from
+    // listing_history on their own cursor, so a failure here is caught up on the next run.
+    try {
+      await enqueueListingEvents();
+    } catch (error) {
+      logger.error('Failed to queue listing webhook events:', error);
+    }
+    
     // Calculate statistics
     const durationSeconds = (Date.now() - startTime) / 1000;
     const recordsPerSecond = Math.round((totalProcessed / durationSeconds) * 100) / 100;
@@ -294,156 +333,146 @@ export const replicateProperties = async () => {
   }
 };
 
-// Phase 2: Replicate media for properties
+// Phase 2: Replicate media changed since the last Media checkpoint.
+// Media changes do not update the property ModificationTimestamp, so the Media
+// resource is replicated on its own ModificationTimestamp/MediaKey checkpoint.
 export const replicateMedia = async () => {
   console.log("Starting Phase 2: Media Replication");
   try {
     const startTime = Date.now();
     logger.info('Starting media replication (Phase 2)');
     
-    // Get all listing IDs from the database that need media
-    // Using smaller batches to avoid media fetching errors
-    let offset = 0;
-    const limit = 100; // Reduced from 200 to 100 for better stability
-    const maxProperties = 500; // Limit even further from 1000 to 500 per run to avoid timeout issues
+    // Get the last replication state for media
+    const { lastTimestamp, lastKey } = await getReplicationState('Media');
+    
+    const batchSize = parseInt(process.env.MEDIA_REPLICATION_BATCH_SIZE, 10) || 5000;
+    const maxRecords = parseInt(process.env.MEDIA_REPLICATION_MAX_RECORDS, 10) || 0;
+    
+    let lastProcessedTimestamp = lastTimestamp;
+    let lastProcessedKey = lastKey;
+    let totalFetched = 0;
     let totalMediaProcessed = 0;
-    let listingsWithMedia = 0;
-    let totalPropertiesProcessed = 0;
-    
-    // Prepare to handle rate limits
-    const maxConcurrent = 10; // Reduced from 20 to 10 for better reliability
-    
-    while (totalPropertiesProcessed < maxProperties) {
-      // Get a batch of property IDs
-      const client = await global.pool.connect();
-      const result = await client.query(`
-        SELECT id FROM listings 
-        ORDER BY id
-        LIMIT $1 OFFSET $2
-      `, [limit, offset]);
-      client.release();
-      
-      if (result.rows.length === 0) {
-        break; // No more properties
+    let totalSkipped = 0;
+    let batchesProcessed = 0;
+    const listingsWithMedia = new Set();
+    
+    console.log(`Starting media replication from timestamp ${lastTimestamp} and key ${lastKey}`);
+    logger.info(`Starting media replication from timestamp ${lastTimestamp} and key ${lastKey}`);
+    
+    while (true) {
+      batchesProcessed++;
+      
+      // Check if we've reached the maximum records limit
+      if (maxRecords > 0 && totalFetched >= maxRecords) {
+        logger.info(`Reached maximum media record limit of ${maxRecords}`);
+        break;
       }
       
-      console.log(`Processing media for ${result.rows.length} properties (batch starting at offset ${offset})`);
+      const currentBatchSize = maxRecords > 0 ? 
+        Math.min(batchSize, maxRecords - totalFetched) : batchSize;
       
-      // Get all property IDs in this batch
-      const propertyIds = result.rows.map(row => row.id);
+      console.log(`Fetching media batch ${batchesProcessed} with timestamp ${lastProcessedTimestamp} and key ${lastProcessedKey}`);
       
-      // Process properties in smaller batches for API efficiency
-      const batchSize = 10; // Reduced from 20 to 10 for better stability
-      let totalBatchMediaProcessed = 0;
-      let totalBatchPropertiesWithMedia = 0;
+      const { items, count } = await getMediaChangesBatch(
+        lastProcessedTimestamp,
+        lastProcessedKey,
+        currentBatchSize
+      );
       
-      // Process in batches to avoid overwhelming the API
-      for (let i = 0; i < propertyIds.length; i += batchSize) {
-        const batchIds = propertyIds.slice(i, i + batchSize);
-        
-        try {
-          // Get media for multiple properties in one batch
-          const mediaByProperty = await getMediaBatch(batchIds);
-          
-          // Process all media items for all properties
-          const processingPromises = [];
-          const mediaKeysMap = {};
-          const preferredKeysMap = {};
-          
-          // First, organize what needs to be processed
-          for (const propertyId of batchIds) {
-            const mediaItems = mediaByProperty[propertyId] || [];
-            
-            if (mediaItems.length > 0) {
-              totalBatchPropertiesWithMedia++;
-              
-              // Track media keys and preferred media for this property
-              mediaKeysMap[propertyId] = [];
-              
-              // Find preferred media
-              const preferredItem = mediaItems.find(item => item.PreferredPhotoYN === true);
-              preferredKeysMap[propertyId] = preferredItem 
-                ? preferredItem.MediaKey 
-                : (mediaItems.length > 0 ? mediaItems[0].MediaKey : null);
-              
-              // Queue up all media items for processing
-              for (const mediaItem of mediaItems) {
-                processingPromises.push(
-                  processMediaItem(mediaItem, propertyId)
-                    .then(success => {
-                      if (success) {
-                        mediaKeysMap[propertyId].push(mediaItem.MediaKey);
-                        totalBatchMediaProcessed++;
-                        return true;
-                      }
-                      return false;
-                    })
-                );
-              }
-            }
-          }
-          
-          // Process all media items concurrently
-          await Promise.all(processingPromises);
-          
-          // Now update all properties with their media keys
-          const updatePromises = [];
-          
-          for (const propertyId in mediaKeysMap) {
-            if (mediaKeysMap[propertyId].length > 0) {
-              updatePromises.push(
-                (async () => {
-                  try {
-                    const updateClient = await global.pool.connect();
-                    await updateClient.query(`
-                      UPDATE listings
-                      SET media_keys = $1,
-                          preferred_media_key = $2
-                      WHERE id = $3
-                    `, [
-                      mediaKeysMap[propertyId], 
-                      preferredKeysMap[propertyId] || mediaKeysMap[propertyId][0], 
-                      propertyId
-                    ]);
-                    updateClient.release();
-                    
-                    console.log(`Updated property ${propertyId} with ${mediaKeysMap[propertyId].length} media keys`);
-                  } catch (updateError) {
-                    logger.error(`Failed to update media keys for property ${propertyId}:`, updateError);
-                  }
-                })()
-              );
-            }
-          }
-          
-          await Promise.all(updatePromises);
-          
-        } catch (error) {
-          logger.error(`Failed to process media batch for ${batchIds.length} properties:`, error);
+      console.log(`Received ${count} media items in batch ${batchesProcessed}`);
+      
+      if (count === 0) {
+        logger.info('No more media to replicate');
+        break;
+      }
+      
+      // Write the page, refresh media_keys for the listings it touched and
+      // advance the Media checkpoint in one transaction
+      const lastItem = items[items.length - 1];
+      const result = await upsertMediaBatch(
+        items.filter(item => item.ResourceRecordKey).map(item => mapMediaItem(item)),
+        {
+          resourceName: 'Media',
+          lastTimestamp: lastItem.ModificationTimestamp,
+          lastKey: lastItem.MediaKey
         }
+      );
+      
+      lastProcessedTimestamp = lastItem.ModificationTimestamp;
+      lastProcessedKey = lastItem.MediaKey;
+      
+      totalFetched += count;
+      totalMediaProcessed += result.written;
+      totalSkipped += result.skipped;
+      result.listingIds.forEach(id => listingsWithMedia.add(id));
+      
+      // Media arriving before its listing is dead-lettered and written once the listing exists
+      if (result.skipped > 0) {
+        logger.debug(`Dead-lettered ${result.skipped} media items for listings not in the database`);
       }
       
-      // Update overall stats
-      totalMediaProcessed += totalBatchMediaProcessed;
-      listingsWithMedia += totalBatchPropertiesWithMedia;
+      // Log progress
+      const elapsedSeconds = (Date.now() - startTime) / 1000;
+      const recordsPerSecond = Math.round((totalMediaProcessed / elapsedSeconds) * 100) / 100;
+      logger.info(`Processed media batch ${batchesProcessed}: ${totalMediaProcessed} media items for ${listingsWithMedia.size} listings (${recordsPerSecond} media/sec)`);
       
-      // Update counters and log progress
-      offset += result.rows.length;
-      totalPropertiesProcessed += result.rows.length;
+      // If we received fewer records than requested, we're done
+      if (count < currentBatchSize) {
+        logger.info('Received fewer media records than requested, assuming completion');
+        break;
+      }
+    }
+    
+    // Write dead-lettered media whose listing has been replicated since
+    const replayLimit = parseInt(process.env.MEDIA_REPLAY_BATCH_SIZE, 10) || 5000;
+    let totalReplayed = 0;
+    
+    while (true) {
+      const replay = await replayMediaReplicationFailures({ limit: replayLimit });
+      
+      totalReplayed += replay.written;
+      replay.listingIds.forEach(id => listingsWithMedia.add(id));
       
-      console.log(`Processed media for ${totalPropertiesProcessed} properties so far, found ${totalMediaProcessed} media items for ${listingsWithMedia} listings`);
+      if (replay.written < replayLimit) {
+        break;
+      }
+    }
+    
+    if (totalReplayed > 0) {
+      logger.info(`Wrote ${totalReplayed} dead-lettered media items whose listings have arrived`);
+    }
+    
+    totalMediaProcessed += totalReplayed;
+    
+    // The change feed never reports photos that were removed, so listings whose media
+    // changed get their full media set fetched and reconciled, a bounded number per run
+    const reconcileLimit = parseInt(process.env.MEDIA_RECONCILE_MAX_LISTINGS, 10) || 500;
+    const changedListingIds = await getPropertiesWithMediaChanges(reconcileLimit);
+    
+    logger.info(`Reconciling full media sets for ${changedListingIds.length} listings with media changes`);
+    const reconcileResult = await updateMediaForProperties(changedListingIds);
+    
+    totalMediaProcessed += reconcileResult.mediaProcessed;
+    changedListingIds.forEach(id => listingsWithMedia.add(id));
+    
+    // Media changes are not in listing_history, so listing.media_changed is queued here
+    try {
+      await enqueueMediaChangedEvents([...listingsWithMedia], new Date(startTime).toISOString());
+    } catch (error) {
+      logger.error('Failed to queue media webhook events:', error);
     }
     
     // Calculate statistics
     const durationSeconds = (Date.now() - startTime) / 1000;
     const recordsPerSecond = Math.round((totalMediaProcessed / durationSeconds) * 100) / 100;
     
-    console.log(`Media replication completed in ${durationSeconds}s. Processed ${totalMediaProcessed} media items for ${listingsWithMedia} listings at ${recordsPerSecond} media/sec.`);
-    logger.info(`Media replication completed in ${durationSeconds}s. Processed ${totalMediaProcessed} media items for ${listingsWithMedia} listings at ${recordsPerSecond} media/sec.`);
+    console.log(`Media replication completed in ${durationSeconds}s. Processed ${totalMediaProcessed} media items for ${listingsWithMedia.size} listings at ${recordsPerSecond} media/sec (${totalSkipped} skipped, ${reconcileResult.mediaDeleted} flagged deleted).`);
+    logger.info(`Media replication completed in ${durationSeconds}s. Processed ${totalMediaProcessed} media items for ${listingsWithMedia.size} listings at ${recordsPerSecond} media/sec (${totalSkipped} skipped, ${reconcileResult.mediaDeleted} flagged deleted).`);
     
     return {
       mediaProcessed: totalMediaProcessed,
-      listingsWithMedia,
+      mediaDeleted: reconcileResult.mediaDeleted,
+      listingsWithMedia: listingsWithMedia.size,
       duration: durationSeconds,
       rate: recordsPerSecond
     };
@@ -454,6 +483,141 @@ export const replicateMedia = async () => {
   }
 };
 
+// Reconcile deletions: soft-delete listings that AMPRE no longer returns
+export const reconcileRemovedListings = async () => {
+  console.log("Starting deletion reconciliation");
+  try {
+    const startTime = Date.now();
+    logger.info('Starting deletion reconciliation');
+    
+    // Listings created locally after this point may be missing from the key scan
+    const scanStartedAt = new Date();
+    
+    const batchSize = parseInt(process.env.RECONCILE_BATCH_SIZE, 10) || 10000;
+    const maxRemovalRatio = parseFloat(process.env.RECONCILE_MAX_REMOVAL_RATIO || '0.1');
+    
+    // Page through every ListingKey upstream
+    const upstreamKeys = new Set();
+    let lastKey = '0';
+    
+    while (true) {
+      const { keys, count } = await getListingKeyBatch(lastKey, batchSize);
+      
+      for (const key of keys) {
+        upstreamKeys.add(key);
+      }
+      
+      console.log(`Fetched ${upstreamKeys.size} upstream listing keys so far`);
+      
+      if (count < batchSize) {
+        break;
+      }
+      
+      lastKey = keys[keys.length - 1];
+    }
+    
+    // Never wipe the table because the feed came back empty
+    if (upstreamKeys.size === 0) {
+      throw new Error('AMPRE returned no listing keys, refusing to reconcile');
+    }
+    
+    const localIds = await getActiveListingIds(scanStartedAt);
+    const orphanIds = localIds.filter(id => !upstreamKeys.has(id));
+    
+    // Guard against partial upstream responses removing a large part of the table
+    const removalRatio = localIds.length > 0 ? orphanIds.length / localIds.length : 0;
+    if (removalRatio > maxRemovalRatio) {
+      throw new Error(
+        `Reconciliation would remove ${orphanIds.length} of ${localIds.length} listings ` +
+        `(${(removalRatio * 100).toFixed(1)}%), above RECONCILE_MAX_REMOVAL_RATIO=${maxRemovalRatio}`
+      );
+    }
+    
+    const removed = await markListingsRemoved(orphanIds);
+    
+    const durationSeconds = (Date.now() - startTime) / 1000;
+    
+    console.log(`Deletion reconciliation completed in ${durationSeconds}s. ${upstreamKeys.size} upstream keys, ${localIds.length} local listings, ${removed} marked removed.`);
+    logger.info(`Deletion reconciliation completed in ${durationSeconds}s. ${upstreamKeys.size} upstream keys, ${localIds.length} local listings, ${removed} marked removed.`);
+    
+    return {
+      upstream: upstreamKeys.size,
+      local: localIds.length,
+      removed,
+      duration: durationSeconds
+    };
+  } catch (error) {
+    console.error('Deletion reconciliation failed:', error);
+    logger.error('Deletion reconciliation failed:', error);
+    throw error;
+  }
+};
+
+// Retry dead-lettered properties by fetching each one directly
+export const retryFailedProperties = async () => {
+  console.log("Starting retry of failed properties");
+  try {
+    const startTime = Date.now();
+    logger.info('Starting retry of failed properties');
+    
+    const limit = parseInt(process.env.RETRY_FAILED_LIMIT, 10) || 500;
+    const failures = await getReplicationFailures({ limit });
+    
+    let succeeded = 0;
+    let failed = 0;
+    let notFound = 0;
+    
+    console.log(`Retrying ${failures.length} failed properties`);
+    
+    for (const failure of failures) {
+      const listingKey = failure.listing_key;
+      
+      try {
+        const data = await getPropertyById(listingKey);
+        
+        // Entity responses carry OData annotations that are not part of the listing
+        const property = Object.fromEntries(
+          Object.entries(data).filter(([field]) => !field.startsWith('@odata'))
+        );
+        
+        // upsertListing resolves the dead-letter entry in the same transaction
+        const mappedProperty = await mapProperty(property);
+        await upsertListing(mappedProperty);
+        succeeded++;
+      } catch (error) {
+        if (error.response && error.response.status === 404) {
+          // Gone upstream, deletion reconciliation takes care of our copy
+          await resolveReplicationFailure(listingKey, 'Not found upstream');
+          notFound++;
+          logger.warn(`Failed property ${listingKey} no longer exists upstream, resolved`);
+          continue;
+        }
+        
+        logger.error(`Retry failed for property ${listingKey}:`, error);
+        await recordReplicationFailure(listingKey, null, error);
+        failed++;
+      }
+    }
+    
+    const durationSeconds = (Date.now() - startTime) / 1000;
+    
+    console.log(`Retry of failed properties completed in ${durationSeconds}s. ${succeeded} succeeded, ${notFound} not found upstream, ${failed} still failing.`);
+    logger.info(`Retry of failed properties completed in ${durationSeconds}s. ${succeeded} succeeded, ${notFound} not found upstream, ${failed} still failing.`);
+    
+    return {
+      attempted: failures.length,
+      succeeded,
+      notFound,
+      failed,
+      duration: durationSeconds
+    };
+  } catch (error) {
+    console.error('Retry of failed properties failed:', error);
+    logger.error('Retry of failed properties failed:', error);
+    throw error;
+  }
+};
+
 // Run full two-phase replication
 export const replicateAll = async () => {
   try {
@@ -0,0 +1,270 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import pLimit from 'p-limit';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { PRIVATE_AMPRE_FIELDS } from '../api/projections.js';
+import {
+  getReplicationState,
+  updateReplicationState,
+  getLatestListingHistoryPosition,
+  getListingHistorySince,
+  insertWebhookDeliveries,
+  getDueWebhookDeliveries,
+  markWebhookDelivered,
+  markWebhookDeliveryFailed
+} from '../db/index.js';
+
+dotenv.config();
+
+// Configuration
+const ENQUEUE_BATCH_SIZE = parseInt(process.env.WEBHOOK_ENQUEUE_BATCH_SIZE, 10) || 1000;
+const DELIVERY_BATCH_SIZE = parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE, 10) || 100;
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5;
+const TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 3600;
+
+// replication_state resource holding the last listing_history position turned into events,
+// stored as "<change_xid>:<id>"
+const CURSOR_RESOURCE = 'Webhooks';
+
+const parsePosition = (key) => {
+  const [xid, id] = key.split(':');
+  return { xid, id: parseInt(id, 10) || 0 };
+};
+
+const formatPosition = ({ xid, id }) => `${xid}:${id}`;
+
+// Event types a subscription can ask for
+export const WEBHOOK_EVENTS = [
+  'listing.created',
+  'listing.updated',
+  'listing.price_changed',
+  'listing.status_changed',
+  'listing.media_changed'
+];
+
+// AMPRE fields that make an update a status change
+const STATUS_FIELDS = ['StandardStatus', 'MlsStatus', 'ContractStatus'];
+
+// History covers the whole AMPRE payload, agent-only fields like PrivateRemarks and
+// Directions are dropped from payloads
+const isPublicField = (field) => !PRIVATE_AMPRE_FIELDS.has(field);
+
+// Old and new value of each listed public field that changed
+const pickChanges = (entry, fields) => Object.fromEntries(
+  fields
+    .filter(field => entry.changed_fields.includes(field) && isPublicField(field))
+    .map(field => [field, { old: entry.old_values?.[field] ?? null, new: entry.new_values?.[field] ?? null }])
+);
+
+// Webhook events for a listing_history entry. An update can be a price and a status change
+// at once, each gets its own event next to listing.updated.
+export const eventsForHistoryEntry = (entry) => {
+  const listing = {
+    listing_id: entry.listing_id,
+    mls_number: entry.mls_number,
+    modification_timestamp: entry.modification_timestamp
+  };
+
+  const event = (type, data) => ({
+    id: `history:${entry.id}:${type}`,
+    type,
+    listingId: entry.listing_id,
+    payload: {
+      id: `history:${entry.id}:${type}`,
+      type,
+      created_at: entry.recorded_at,
+      data: { ...listing, ...data }
+    }
+  });
+
+  switch (entry.change_type) {
+    case 'created':
+      return [event('listing.created', {
+        values: Object.fromEntries(Object.entries(entry.new_values || {}).filter(([field]) => isPublicField(field)))
+      })];
+
+    // Listings leaving or re-entering the AMPRE feed
+    case 'removed':
+    case 'restored':
+      return [event('listing.status_changed', { change_type: entry.change_type, changes: {} })];
+
+    case 'updated': {
+      // Updates that only touched agent-only fields are not announced
+      const changes = pickChanges(entry, entry.changed_fields);
+      const events = Object.keys(changes).length > 0 ? [event('listing.updated', { changes })] : [];
+
+      if (entry.changed_fields.includes('ListPrice')) {
+        events.push(event('listing.price_changed', {
+          old_price: entry.old_values?.ListPrice ?? null,
+          new_price: entry.new_values?.ListPrice ?? null
+        }));
+      }
+
+      const statusChanges = pickChanges(entry, STATUS_FIELDS);
+      if (Object.keys(statusChanges).length > 0) {
+        events.push(event('listing.status_changed', { change_type: 'updated', changes: statusChanges }));
+      }
+
+      return events;
+    }
+
+    default:
+      return [];
+  }
+};
+
+// Turn listing_history entries recorded since the last run into webhook deliveries.
+// The first run starts at the current end of listing_history instead of replaying it.
+export const enqueueListingEvents = async () => {
+  const state = await getReplicationState(CURSOR_RESOURCE);
+  let after = parsePosition(state.lastKey);
+
+  if (state.lastTimestamp === '1970-01-01T00:00:00Z') {
+    after = await getLatestListingHistoryPosition();
+    await updateReplicationState(CURSOR_RESOURCE, new Date().toISOString(), formatPosition(after));
+    logger.info(`Webhook events start after listing history entry ${after.id}`);
+    return { entries: 0, queued: 0 };
+  }
+
+  let entries = 0;
+  let queued = 0;
+
+  while (true) {
+    const history = await getListingHistorySince(after, { limit: ENQUEUE_BATCH_SIZE });
+
+    if (history.length === 0) {
+      break;
+    }
+
+    const last = history[history.length - 1];
+
+    // The deliveries and the cursor move together, a crash re-reads the page at worst
+    queued += await insertWebhookDeliveries(history.flatMap(eventsForHistoryEntry), {
+      resourceName: CURSOR_RESOURCE,
+      lastTimestamp: new Date(last.recorded_at).toISOString(),
+      lastKey: formatPosition({ xid: last.change_xid, id: last.id }),
+      recordsProcessed: history.length
+    });
+
+    entries += history.length;
+    after = { xid: last.change_xid, id: parseInt(last.id, 10) };
+
+    if (history.length < ENQUEUE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (queued > 0) {
+    logger.info(`Queued ${queued} webhook deliveries for ${entries} listing changes`);
+  }
+
+  return { entries, queued };
+};
+
+// Queue listing.media_changed for listings whose media was written by a media replication run.
+// `changedAt` identifies the run, so one listing gets one event per run.
+export const enqueueMediaChangedEvents = async (listingIds, changedAt = new Date().toISOString()) => {
+  if (listingIds.length === 0) {
+    return 0;
+  }
+
+  const events = listingIds.map(listingId => ({
+    id: `media:${listingId}:${changedAt}`,
+    type: 'listing.media_changed',
+    listingId,
+    payload: {
+      id: `media:${listingId}:${changedAt}`,
+      type: 'listing.media_changed',
+      created_at: changedAt,
+      data: { listing_id: listingId }
+    }
+  }));
+
+  return insertWebhookDeliveries(events);
+};
+
+// Signature sent in X-Webhook-Signature. Receivers recompute it over
+// "<X-Webhook-Timestamp>.<raw body>" with their secret and compare.
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Seconds until the next attempt after `attempts` failures, doubling up to WEBHOOK_RETRY_MAX_SECONDS
+const retryDelaySeconds = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+// POST one delivery, any 2xx response counts as delivered
+const sendDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  return axios.post(delivery.url, body, {
+    timeout: TIMEOUT,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'property-listings-replicator-webhooks',
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+    },
+    // Keep the raw response, only its status matters
+    transformResponse: data => data,
+    maxRedirects: 0,
+    validateStatus: status => status >= 200 && status < 300
+  });
+};
+
+// Send due webhook deliveries. Failures are retried with exponential backoff on later runs
+// and marked 'failed' after WEBHOOK_MAX_ATTEMPTS.
+export const dispatchWebhooks = async () => {
+  const concurrencyLimit = pLimit(CONCURRENCY);
+  let delivered = 0;
+  let retrying = 0;
+  let failed = 0;
+
+  while (true) {
+    const due = await getDueWebhookDeliveries({ limit: DELIVERY_BATCH_SIZE });
+
+    if (due.length === 0) {
+      break;
+    }
+
+    // Failed deliveries move their next attempt into the future, so every batch makes progress
+    await Promise.all(due.map(delivery => concurrencyLimit(async () => {
+      try {
+        const response = await sendDelivery(delivery);
+        await markWebhookDelivered(delivery.id, response.status);
+        delivered++;
+      } catch (error) {
+        const attempts = delivery.attempts + 1;
+        const retryInSeconds = attempts < MAX_ATTEMPTS ? retryDelaySeconds(attempts) : null;
+        retryInSeconds === null ? failed++ : retrying++;
+
+        logger.warn(`Webhook delivery ${delivery.id} (${delivery.event_type}) to ${delivery.url} failed on attempt ${attempts}: ${error.message}`);
+        await markWebhookDeliveryFailed(delivery.id, {
+          responseStatus: error.response?.status ?? null,
+          error,
+          retryInSeconds
+        });
+      }
+    })));
+  }
+
+  if (delivered + retrying + failed > 0) {
+    logger.info(`Webhook dispatch completed: ${delivered} delivered, ${retrying} to retry, ${failed} failed`);
+  }
+
+  return { delivered, retrying, failed };
+};
+
+// Queue events for listing changes not seen yet (reconcile and retry runs record them too)
+// and send everything due, run after each replication cycle
+export const processWebhooks = async () => {
+  const enqueue = await enqueueListingEvents();
+  const dispatch = await dispatchWebhooks();
+
+  return { enqueue, dispatch };
+};
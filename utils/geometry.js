@@ -0,0 +1,132 @@
+// Parsing of map search areas (bounding boxes and polygons) from query parameters
+
+// Upper bound on polygon vertices, a drawn neighbourhood needs far fewer
+const MAX_POLYGON_POINTS = parseInt(process.env.MAX_POLYGON_POINTS || '1000', 10);
+
+// Number() rather than parseFloat, so "-79.5x" is rejected instead of read as -79.5.
+// Empty strings, null and booleans would convert to 0 or 1 and are rejected too.
+const toCoordinate = (value) => (
+  typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN
+);
+
+const isLng = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+const isLat = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+
+// Parse `minLng,minLat,maxLng,maxLat`, returns null when it is not a valid box
+export const parseBbox = (value) => {
+  const parts = String(value).split(',').map(toCoordinate);
+
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+
+  if (!isLng(minLng) || !isLng(maxLng) || !isLat(minLat) || !isLat(maxLat)) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return [minLng, minLat, maxLng, maxLat];
+};
+
+// Decode a Google encoded polyline into [lng, lat] positions
+export const decodePolyline = (encoded, precision = 5) => {
+  const factor = 10 ** precision;
+  const positions = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Truncated polyline');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    positions.push([lng / factor, lat / factor]);
+  }
+
+  return positions;
+};
+
+// Validate a linear ring, closing it when the last point does not repeat the first
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring)) return null;
+
+  const positions = ring.map(position => (Array.isArray(position) ? [toCoordinate(position[0]), toCoordinate(position[1])] : null));
+
+  if (positions.some(position => !position || !isLng(position[0]) || !isLat(position[1]))) return null;
+
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    positions.push([...first]);
+  }
+
+  // A closed ring needs at least three distinct points
+  return positions.length >= 4 ? positions : null;
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) return null;
+
+  const normalized = rings.map(normalizeRing);
+  return normalized.every(Boolean) ? normalized : null;
+};
+
+const countPoints = (geometry) => (
+  geometry.type === 'Polygon'
+    ? geometry.coordinates.flat().length
+    : geometry.coordinates.flat(2).length
+);
+
+// Parse a search polygon given as GeoJSON (Polygon, MultiPolygon or a Feature wrapping one)
+// or as an encoded polyline of the outline. Returns a GeoJSON geometry or null when invalid.
+export const parsePolygon = (value) => {
+  const text = String(value).trim();
+  let geometry;
+
+  if (text.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      return null;
+    }
+
+    const source = parsed.type === 'Feature' ? parsed.geometry : parsed;
+
+    if (source?.type === 'Polygon') {
+      const coordinates = normalizePolygon(source.coordinates);
+      geometry = coordinates && { type: 'Polygon', coordinates };
+    } else if (source?.type === 'MultiPolygon' && Array.isArray(source.coordinates) && source.coordinates.length > 0) {
+      const coordinates = source.coordinates.map(normalizePolygon);
+      geometry = coordinates.every(Boolean) && { type: 'MultiPolygon', coordinates };
+    }
+  } else {
+    try {
+      const ring = normalizeRing(decodePolyline(text));
+      geometry = ring && { type: 'Polygon', coordinates: [ring] };
+    } catch {
+      return null;
+    }
+  }
+
+  if (!geometry || countPoints(geometry) > MAX_POLYGON_POINTS) {
+    return null;
+  }
+
+  return geometry;
+};
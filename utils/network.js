@@ -0,0 +1,87 @@
+// Guards for outbound requests to URLs chosen by API clients, so they cannot reach
+// loopback, private or link-local (cloud metadata) addresses from inside our network
+
+import dns from 'node:dns';
+import net from 'node:net';
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+// Unspecified, private, shared (CGNAT), loopback, link-local, benchmarking, multicast and reserved ranges
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+
+// Unspecified, loopback, NAT64, unique local, link-local and multicast ranges
+for (const [prefix, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+// Whether an IP address is publicly routable. IPv4-mapped IPv6 addresses are checked as IPv4.
+export const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+
+  if (family === 0) {
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Resolve the host of an http(s) URL and check every address it resolves to.
+// Returns { error } when the URL is invalid or reaches a non-public address, {} otherwise.
+export const checkPublicUrl = async (value) => {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: 'Invalid URL' };
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { error: 'URL must be http(s)' };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  try {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return { error: `${url.hostname} is not a public address` };
+    }
+  } catch {
+    return { error: `${url.hostname} could not be resolved` };
+  }
+
+  return {};
+};
+
+// dns.lookup replacement for http(s) agents and axios' `lookup` option that refuses non-public
+// addresses, so a host that resolves differently at connection time is still caught
+export const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};